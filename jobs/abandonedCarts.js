@@ -0,0 +1,172 @@
+const Cart = require('../models/Cart');
+const User = require('../models/User');
+const { revalidateCart } = require('../utils/cart');
+const { roundMoney } = require('../utils/money');
+const { sendMail, escapeHtml, signUnsubscribeToken } = require('../utils/mailer');
+
+// A cart counts as abandoned once it has not changed for this long
+const ABANDONED_AFTER_HOURS = Number(process.env.ABANDONED_CART_AFTER_HOURS) || 24;
+// How often to look for abandoned carts
+const CHECK_EVERY_MINUTES = Number(process.env.ABANDONED_CART_CHECK_MINUTES) || 60;
+// Most reminders sent in one run
+const BATCH_SIZE = 100;
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Carts that have not been looked at since they last changed
+const notCheckedSinceChange = {
+  $or: [
+    { 'reminder.checkedAt': { $exists: false } },
+    { $expr: { $lt: ['$reminder.checkedAt', '$updatedAt'] } },
+  ],
+};
+
+const sendReminderEmail = (user, items) => {
+  const total = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const unsubscribeUrl = `${API_URL}/api/users/unsubscribe/cart-reminders?token=${signUnsubscribeToken(user._id, 'cart-reminders')}`;
+  const cartLink = process.env.STORE_URL ? `<p><a href="${escapeHtml(process.env.STORE_URL)}/cart">Return to your cart</a></p>` : '';
+
+  return sendMail({
+    to: user.email,
+    subject: 'You left something in your cart',
+    text: `Hi ${user.name},\n\nYou still have these in your cart:\n\n${items
+      .map((item) => `${item.name} x ${item.quantity} - ₹${roundMoney(item.price * item.quantity)}`)
+      .join('\n')}\n\nTotal: ₹${total}\n\nPrices and stock can change, so check out soon if you still want them.\n\nTo stop these reminders, visit ${unsubscribeUrl}\n\nBest regards,\nThe Aquarium Shop Team`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You left something in your cart</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>You still have these in your cart:</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${items.map((item) => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.name)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">x ${item.quantity}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">₹${roundMoney(item.price * item.quantity)}</td>
+          </tr>`).join('')}
+          <tr>
+            <td colspan="2" style="padding: 8px;"><strong>Total</strong></td>
+            <td style="padding: 8px; text-align: right;"><strong>₹${total}</strong></td>
+          </tr>
+        </table>
+        <p>Prices and stock can change, so check out soon if you still want them.</p>
+        ${cartLink}
+        <p>Best regards,<br/>The Aquarium Shop Team</p>
+        <p style="font-size: 12px; color: #888;"><a href="${escapeHtml(unsubscribeUrl)}">Stop cart reminders</a></p>
+      </div>
+    `,
+  });
+};
+
+// Remind one cart's owner, at most once per change to the cart. The cart is
+// claimed by stamping reminder.checkedAt (without touching updatedAt) so two
+// servers never email the same cart; if the email fails the stamp is undone.
+const remindCart = async (cart) => {
+  const previousCheck = cart.reminder ? cart.reminder.checkedAt : undefined;
+
+  const claimed = await Cart.updateOne(
+    { _id: cart._id, updatedAt: cart.updatedAt, ...notCheckedSinceChange },
+    { $set: { 'reminder.checkedAt': new Date() } },
+    { timestamps: false }
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  // Show current prices and stock, without saving the cart
+  await revalidateCart(cart);
+  if (cart.items.length === 0) {
+    return false;
+  }
+
+  const items = cart.items.map((item) => ({
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+  }));
+
+  try {
+    await sendReminderEmail(cart.user, items);
+  } catch (error) {
+    await Cart.updateOne(
+      { _id: cart._id },
+      previousCheck ? { $set: { 'reminder.checkedAt': previousCheck } } : { $unset: { 'reminder.checkedAt': 1 } },
+      { timestamps: false }
+    );
+    throw error;
+  }
+
+  await Cart.updateOne(
+    { _id: cart._id },
+    { $set: { 'reminder.sentAt': new Date(), 'reminder.items': items } },
+    { timestamps: false }
+  );
+  return true;
+};
+
+// Email the owners of carts left untouched for ABANDONED_AFTER_HOURS.
+// Guest carts and customers who opted out are skipped.
+const sendAbandonedCartReminders = async () => {
+  const cutoff = new Date(Date.now() - ABANDONED_AFTER_HOURS * 60 * 60 * 1000);
+  const optedOut = await User.find({ cartReminders: false }).distinct('_id');
+
+  const carts = await Cart.find({
+    user: { $exists: true, $nin: optedOut },
+    'items.0': { $exists: true },
+    updatedAt: { $lte: cutoff },
+    ...notCheckedSinceChange,
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .populate('user', 'name email');
+
+  let sent = 0;
+  for (const cart of carts) {
+    if (!cart.user) {
+      continue;
+    }
+    try {
+      if (await remindCart(cart)) {
+        sent += 1;
+      }
+    } catch (error) {
+      console.error(`Abandoned cart reminder for cart ${cart._id} failed:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Check for abandoned carts every CHECK_EVERY_MINUTES. Set
+// ABANDONED_CART_REMINDERS=false to turn the job off.
+const startAbandonedCartJob = () => {
+  if (process.env.ABANDONED_CART_REMINDERS === 'false') {
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const sent = await sendAbandonedCartReminders();
+      if (sent > 0) {
+        console.log(`Sent ${sent} abandoned cart reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Abandoned cart reminders failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, CHECK_EVERY_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { sendAbandonedCartReminders, startAbandonedCartJob };
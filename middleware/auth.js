@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyCartToken } = require('../utils/cart');
+const { isTokenRevoked } = require('../utils/tokens');
+const { hasPermission } = require('../utils/permissions');
+const { isVerificationRequired } = require('../utils/emailVerification');
+const { isTwoFactorRequired, isTwoFactorEnabled } = require('../utils/twoFactor');
 
 const protect = async (req, res, next) => {
   let token;
@@ -13,12 +18,23 @@ const protect = async (req, res, next) => {
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
 
+      // Cart and two-factor tokens (and unsubscribe tokens from before they
+      // had their own key) share the secret but carry a type; only access
+      // tokens, which have none, may sign a user in
+      if (decoded.type) {
+        return res.status(401).json({ message: 'Not authorized, invalid token' });
+      }
+
       req.user = await User.findById(decoded.id).select('-password');
 
       if (!req.user) {
         return res.status(401).json({ message: 'Not authorized, user not found' });
       }
 
+      if (isTokenRevoked(decoded, req.user)) {
+        return res.status(401).json({ message: 'Not authorized, token revoked' });
+      }
+
       next();
     } catch (error) {
       console.error('Auth error:', error);
@@ -37,7 +53,22 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Staff who have not enrolled in 2FA are refused when the shop requires it
+const refuseWithoutTwoFactor = (req, res) => {
+  if (isTwoFactorRequired(req.user) && !isTwoFactorEnabled(req.user)) {
+    res.status(403).json({
+      message: 'Two-factor authentication is required for staff accounts',
+      twoFactorSetupRequired: true,
+    });
+    return true;
+  }
+  return false;
+};
+
 const admin = (req, res, next) => {
+  if (refuseWithoutTwoFactor(req, res)) {
+    return;
+  }
   if (req.user && req.user.isAdmin) {
     next();
   } else {
@@ -45,4 +76,44 @@ const admin = (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin };
+// Allow the request when the user's role grants any of `permissions`.
+// Use after protect.
+const authorize = (...permissions) => (req, res, next) => {
+  if (refuseWithoutTwoFactor(req, res)) {
+    return;
+  }
+  if (permissions.some((permission) => hasPermission(req.user, permission))) {
+    next();
+  } else {
+    res.status(403).json({ message: 'Not authorized for this action' });
+  }
+};
+
+// Refuse the request until the user has verified their email, when the shop
+// requires it. Use after protect.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!isVerificationRequired() || req.user.emailVerified) {
+    next();
+  } else {
+    res.status(403).json({ message: 'Please verify your email address first' });
+  }
+};
+
+// Signed-in shoppers use their own cart; anyone else may use a guest cart
+// identified by the X-Cart-Token header
+const cartAccess = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return protect(req, res, next);
+  }
+
+  req.guestCartId = verifyCartToken(req.headers['x-cart-token']);
+  next();
+};
+
+module.exports = {
+  protect,
+  admin,
+  authorize,
+  requireVerifiedEmail,
+  cartAccess,
+};
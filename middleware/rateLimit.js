@@ -0,0 +1,128 @@
+// Request counting for rate limits and lockouts. The store is pluggable: the
+// default keeps counters in this process's memory, which is enough for a
+// single server. Anything with the same three async methods (e.g. backed by
+// Redis) can be passed to setRateLimitStore so several servers share counts.
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Forget expired counters now and then so the map does not grow forever
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      this.entries.forEach((entry, key) => {
+        if (entry.resetAt <= now) {
+          this.entries.delete(key);
+        }
+      });
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  // Count one hit against `key` and return { count, resetAt }. A new window
+  // of `windowMs` starts when the previous one has run out.
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  // Current { count, resetAt } for `key`, or null if it has none
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      return null;
+    }
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+const secondsUntil = (time) => Math.max(Math.ceil((time - Date.now()) / 1000), 1);
+
+const tooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message, retryAfter });
+};
+
+// Allow at most `max` requests per `windowMs` for each key (the client IP by
+// default, or e.g. the account a request names). Requests without a key are
+// not counted.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = 'Too many requests, please try again later',
+  store,
+}) => async (req, res, next) => {
+  try {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    const { count, resetAt } = await (store || defaultStore).increment(`${name}:${id}`, windowMs);
+    if (count > max) {
+      return tooManyRequests(res, secondsUntil(resetAt), message);
+    }
+    next();
+  } catch (error) {
+    // A broken store should not take the endpoint down with it
+    console.error(`Rate limit ${name} failed:`, error);
+    next();
+  }
+};
+
+// Temporary lockout after repeated failures for one key, e.g. wrong
+// passwords for an account. `maxFailures` within `windowMs` locks the key
+// for `lockMs`; a success clears the failure count.
+const createLockout = ({ name, maxFailures, windowMs, lockMs, store }) => {
+  const getStore = () => store || defaultStore;
+  const failKey = (id) => `${name}:fail:${id}`;
+  const lockKey = (id) => `${name}:lock:${id}`;
+
+  return {
+    // Seconds left on the lock, or 0 when the key is not locked
+    async lockedFor(id) {
+      const lock = await getStore().get(lockKey(id));
+      return lock ? secondsUntil(lock.resetAt) : 0;
+    },
+
+    // Record a failure. Returns the seconds of lockout it caused, or 0.
+    async fail(id) {
+      const { count } = await getStore().increment(failKey(id), windowMs);
+      if (count < maxFailures) {
+        return 0;
+      }
+      await getStore().reset(failKey(id));
+      const lock = await getStore().increment(lockKey(id), lockMs);
+      return secondsUntil(lock.resetAt);
+    },
+
+    async succeed(id) {
+      await getStore().reset(failKey(id));
+    },
+  };
+};
+
+module.exports = {
+  MemoryStore,
+  setRateLimitStore,
+  rateLimit,
+  createLockout,
+  tooManyRequests,
+};
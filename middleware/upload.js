@@ -1,5 +1,6 @@
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 
 // Configure storage
 const storage = multer.diskStorage({
@@ -32,6 +33,24 @@ const upload = multer({
   }
 });
 
+// Claim evidence may be photos or unboxing videos
+const evidenceFileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image or video files are allowed!'), false);
+  }
+};
+
+// Multer configuration for claim evidence
+const evidenceUpload = multer({
+  storage: storage,
+  fileFilter: evidenceFileFilter,
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+});
+
 // Error handling middleware for multer
 const uploadErrorHandler = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -45,5 +64,39 @@ const uploadErrorHandler = (err, req, res, next) => {
   next();
 };
 
+// Same as uploadErrorHandler, with the evidence size limit
+const evidenceUploadErrorHandler = (err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({ message: 'File too large. Maximum size is 50MB.' });
+  }
+  uploadErrorHandler(err, req, res, next);
+};
+
+// Delete the files multer saved for a request that did not succeed, so
+// rejected uploads are not left behind (and served) in /uploads. Put it
+// before the multer middleware.
+const discardUploadsOnError = (req, res, next) => {
+  res.once('close', () => {
+    if (res.writableFinished && res.statusCode < 400) {
+      return;
+    }
+    const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    if (req.file) {
+      files.push(req.file);
+    }
+    files.forEach((file) => {
+      fs.unlink(file.path, (error) => {
+        if (error && error.code !== 'ENOENT') {
+          console.error(`Failed to remove upload ${file.path}:`, error);
+        }
+      });
+    });
+  });
+  next();
+};
+
 module.exports = upload;
+module.exports.discardUploadsOnError = discardUploadsOnError;
+module.exports.evidenceUpload = evidenceUpload;
 module.exports.uploadErrorHandler = uploadErrorHandler;
+module.exports.evidenceUploadErrorHandler = evidenceUploadErrorHandler;
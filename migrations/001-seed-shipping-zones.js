@@ -0,0 +1,12 @@
+const ShippingZone = require('../models/ShippingZone');
+const { DEFAULT_ZONES } = require('../utils/shipping');
+
+// Create the published shipping zones in a shop that has none yet. Runs once,
+// so zones an admin deletes later stay deleted.
+const up = async () => {
+  if (await ShippingZone.estimatedDocumentCount() === 0) {
+    await ShippingZone.insertMany(DEFAULT_ZONES);
+  }
+};
+
+module.exports = { up };
@@ -0,0 +1,16 @@
+const Accessory = require('../models/Accessory');
+const FullMarineSetup = require('../models/FullMarineSetup');
+
+// Accessories and setups created before GST was charged have no rate. Give
+// them 0%, which is what they were sold at, rather than letting a default
+// reprice the live catalog; admins set the real rates item by item.
+const up = async () => {
+  for (const Model of [Accessory, FullMarineSetup]) {
+    await Model.collection.updateMany(
+      { gstRate: { $exists: false } },
+      { $set: { gstRate: 0 } }
+    );
+  }
+};
+
+module.exports = { up };
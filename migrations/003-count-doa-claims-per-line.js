@@ -0,0 +1,20 @@
+const DoaClaim = require('../models/DoaClaim');
+const Order = require('../models/Order');
+
+// Record on each order line how much of it is covered by open or approved
+// DOA claims, which new claims are now checked against
+const up = async () => {
+  const totals = await DoaClaim.aggregate([
+    { $match: { status: { $ne: 'rejected' } } },
+    { $group: { _id: { order: '$order', orderItem: '$orderItem' }, qty: { $sum: '$qty' } } },
+  ]);
+
+  for (const { _id, qty } of totals) {
+    await Order.updateOne(
+      { _id: _id.order, 'orderItems._id': _id.orderItem },
+      { $set: { 'orderItems.$.doaClaimedQty': qty } }
+    );
+  }
+};
+
+module.exports = { up };
@@ -0,0 +1,20 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+
+// Per-user coupon limits are now counted on the coupon itself. Count the
+// uses on existing orders that were not cancelled, as the limit always has.
+const up = async () => {
+  const uses = await Order.aggregate([
+    { $match: { 'discount.coupon': { $exists: true, $ne: null }, status: { $ne: 'cancelled' } } },
+    { $group: { _id: { coupon: '$discount.coupon', user: '$user' }, count: { $sum: 1 } } },
+  ]);
+
+  for (const { _id, count } of uses) {
+    await Coupon.updateOne(
+      { _id: _id.coupon },
+      { $set: { [`userRedemptions.${_id.user}`]: count } }
+    );
+  }
+};
+
+module.exports = { up };
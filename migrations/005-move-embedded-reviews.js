@@ -0,0 +1,51 @@
+const Review = require('../models/Review');
+const { CATALOG_MODELS } = require('../utils/catalog');
+
+// Reviews used to be stored inside products and setups. Copy any that are
+// still there into the reviews collection (they were already public, so they
+// come across approved), drop the old arrays, and recount every item's rating
+// from its approved reviews.
+const up = async () => {
+  for (const [itemType, Model] of Object.entries(CATALOG_MODELS)) {
+    const items = await Model.collection
+      .find({ 'reviews.0': { $exists: true } })
+      .project({ reviews: 1 })
+      .toArray();
+
+    for (const item of items) {
+      for (const old of item.reviews) {
+        const rating = Number(old.rating);
+        if (!old.user || !(rating >= 1 && rating <= 5)) {
+          continue;
+        }
+        await Review.updateOne(
+          { itemType, item: item._id, user: old.user },
+          {
+            $setOnInsert: {
+              name: old.name || 'Customer',
+              rating,
+              comment: old.comment || '',
+              status: 'approved',
+              createdAt: old.createdAt || new Date(),
+              updatedAt: new Date(),
+            },
+          },
+          { upsert: true, timestamps: false }
+        );
+      }
+    }
+
+    await Model.collection.updateMany({ reviews: { $exists: true } }, { $unset: { reviews: '' } });
+
+    const ratings = await Review.aggregate([
+      { $match: { itemType, status: 'approved' } },
+      { $group: { _id: '$item', rating: { $avg: '$rating' }, numReviews: { $sum: 1 } } },
+    ]);
+    await Model.collection.updateMany({}, { $set: { rating: 0, numReviews: 0 } });
+    for (const { _id, rating, numReviews } of ratings) {
+      await Model.collection.updateOne({ _id }, { $set: { rating, numReviews } });
+    }
+  }
+};
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+const Cart = require('../models/Cart');
+
+// Guest carts have no user, which the old unique user_1 index only allows
+// once. MongoDB will not change an existing index's options, so drop it if
+// it is not sparse and let the schema build it again.
+const up = async () => {
+  const indexes = await Cart.collection.indexes().catch((error) => {
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw error;
+  });
+
+  const userIndex = indexes.find((index) => index.name === 'user_1');
+  if (userIndex && !userIndex.sparse) {
+    await Cart.collection.dropIndex('user_1');
+  }
+
+  await Cart.createIndexes();
+};
+
+module.exports = { up };
@@ -0,0 +1,14 @@
+const User = require('../models/User');
+
+// Accounts created before email verification existed have no emailVerified
+// field, so the schema default would read them as unverified and keep them
+// from checking out once verification is required. They signed up under the
+// old rules, so count them as verified.
+const up = async () => {
+  await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+// Apply pending data migrations and exit: npm run migrate
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { runMigrations } = require('../utils/migrations');
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/aquarium-shop')
+  .then(runMigrations)
+  .then((applied) => {
+    console.log(applied.length > 0 ? `Applied ${applied.join(', ')}` : 'No pending migrations');
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
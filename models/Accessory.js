@@ -28,8 +28,34 @@ const accessorySchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
+  rating: {
+    type: Number,
+    default: 0,
+  },
+  numReviews: {
+    type: Number,
+    default: 0,
+  },
+  // HSN code printed on GST invoices
+  hsnCode: {
+    type: String,
+    default: '',
+  },
+  // GST rate in percent; catalog prices are exclusive of GST. There is no
+  // default so a new item is never taxed at a rate nobody chose.
+  gstRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 40,
+  },
 }, {
   timestamps: true,
 });
 
+accessorySchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'catalog_text', weights: { name: 10, description: 2 } }
+);
+
 module.exports = mongoose.model('Accessory', accessorySchema);
@@ -1,11 +1,35 @@
 const mongoose = require('mongoose');
 
 const cartItemSchema = new mongoose.Schema({
+  // Which catalog the item comes from
+  itemType: {
+    type: String,
+    enum: ['Product', 'Accessory', 'FullMarineSetup'],
+    default: 'Product',
+  },
+  // Product, accessory or setup, resolved through itemType
   product: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Product',
+    refPath: 'items.itemType',
     required: true,
   },
+  // Chosen product variant, if the product has any
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
+  // Component swaps and omissions chosen for a marine setup
+  configuration: [
+    {
+      _id: false,
+      component: mongoose.Schema.Types.ObjectId,
+      omit: Boolean,
+      item: mongoose.Schema.Types.ObjectId,
+      variant: mongoose.Schema.Types.ObjectId,
+    },
+  ],
   name: {
     type: String,
     required: true,
@@ -29,18 +53,41 @@ const cartItemSchema = new mongoose.Schema({
 });
 
 const cartSchema = new mongoose.Schema({
+  // Guest carts have no user and are reached through a signed cart token.
+  // Databases from before guest carts need migration 006 to make the index
+  // sparse.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
     unique: true, // One cart per user
+    sparse: true,
   },
   items: [cartItemSchema],
+  // Set on guest carts only, so abandoned ones are cleaned up
+  expiresAt: {
+    type: Date,
+  },
+  // Last abandoned cart reminder and the lines it showed. A cart is only
+  // looked at again once it has been changed since it was last checked.
+  reminder: {
+    checkedAt: Date,
+    sentAt: Date,
+    items: [
+      {
+        _id: false,
+        product: mongoose.Schema.Types.ObjectId,
+        variant: mongoose.Schema.Types.ObjectId,
+        name: String,
+        price: Number,
+        quantity: Number,
+      },
+    ],
+  },
 }, {
   timestamps: true,
 });
 
-// Index for efficient queries
-cartSchema.index({ user: 1 });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ updatedAt: 1 });
 
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true,
+  },
+  // Percent off for percentage coupons, rupees off for flat ones
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Upper limit on a percentage discount, in rupees
+  maxDiscount: {
+    type: Number,
+    min: 0,
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Total redemptions allowed across all customers; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1,
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  // Redemptions per user id, counted in the same update as usedCount so
+  // perUserLimit holds even for orders placed at the same time
+  userRedemptions: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  validFrom: {
+    type: Date,
+  },
+  validUntil: {
+    type: Date,
+  },
+  // When set, only lines in these categories are discounted
+  categories: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+  ],
+  // When set, only lines of these item types are discounted
+  itemTypes: {
+    type: [String],
+    enum: ['Product', 'Accessory', 'FullMarineSetup'],
+    default: [],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
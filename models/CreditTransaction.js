@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One entry in a user's store credit ledger. Entries are never changed or
+// removed; mistakes are corrected with a new entry.
+const creditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Position in the user's ledger. The unique index makes concurrent writers
+  // collide instead of both spending the same balance.
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DoaClaim',
+  },
+  // Credits only; unspent credit is lost after this date
+  expiresAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+creditTransactionSchema.index({ user: 1, sequence: 1 }, { unique: true });
+
+creditTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Store credit ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Store credit ledger entries cannot be modified'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => {
+  creditTransactionSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
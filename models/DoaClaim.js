@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const doaClaimSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  // _id of the line within order.orderItems
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'itemType',
+  },
+  itemType: {
+    type: String,
+    enum: ['Product', 'Accessory', 'FullMarineSetup'],
+    default: 'Product',
+  },
+  productName: {
+    type: String,
+    required: true,
+  },
+  // How many of the line's livestock arrived dead
+  qty: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  evidence: [
+    {
+      path: { type: String, required: true },
+      mimetype: { type: String },
+      uploadedAt: { type: Date, default: Date.now },
+    },
+  ],
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'rejected'],
+    default: 'open',
+  },
+  // Last moment the customer may report or add evidence
+  deadline: {
+    type: Date,
+    required: true,
+  },
+  resolution: {
+    outcome: { type: String, enum: ['replacement', 'store_credit'] },
+    amount: { type: Number },
+    note: { type: String },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: { type: Date },
+  },
+}, {
+  timestamps: true,
+});
+
+doaClaimSchema.index({ order: 1, orderItem: 1 });
+doaClaimSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DoaClaim', doaClaimSchema);
@@ -1,5 +1,59 @@
 const mongoose = require('mongoose');
 
+// A catalog item a component can be, or be swapped for
+const componentChoiceSchema = mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['Product', 'Accessory'],
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true,
+  },
+  // Required when the item is a product with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+}, {
+  _id: false,
+});
+
+// One line of the setup's bill of materials, e.g. "1 x 120W LED light"
+const componentSchema = mongoose.Schema({
+  label: {
+    type: String,
+    default: '',
+  },
+  itemType: {
+    type: String,
+    enum: ['Product', 'Accessory'],
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'components.itemType',
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: 1,
+  },
+  // Customers may leave optional components out of their setup
+  optional: {
+    type: Boolean,
+    default: false,
+  },
+  // Items the customer may choose instead of the default one
+  alternatives: [componentChoiceSchema],
+});
+
 const fullMarineSetupSchema = mongoose.Schema({
   name: {
     type: String,
@@ -23,6 +77,29 @@ const fullMarineSetupSchema = mongoose.Schema({
     required: true,
     default: 0,
   },
+  // When components are set, price and stock are derived from them and the
+  // flat price/stock fields above are ignored
+  components: [componentSchema],
+  // Discount on the component total, in percent
+  bundleDiscountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  // HSN code printed on GST invoices
+  hsnCode: {
+    type: String,
+    default: '',
+  },
+  // GST rate in percent; catalog prices are exclusive of GST. There is no
+  // default so a new item is never taxed at a rate nobody chose.
+  gstRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 40,
+  },
   numReviews: {
     type: Number,
     required: true,
@@ -33,22 +110,15 @@ const fullMarineSetupSchema = mongoose.Schema({
     required: true,
     default: 0,
   },
-  reviews: [
-    {
-      name: { type: String, required: true },
-      rating: { type: Number, required: true },
-      comment: { type: String, required: true },
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        required: true,
-        ref: 'User',
-      },
-    },
-  ],
 }, {
   timestamps: true,
 });
 
+fullMarineSetupSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'catalog_text', weights: { name: 10, description: 2 } }
+);
+
 const FullMarineSetup = mongoose.model('FullMarineSetup', fullMarineSetupSchema);
 
 module.exports = FullMarineSetup;
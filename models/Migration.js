@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One record per data migration that has been applied (or is running)
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  completedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
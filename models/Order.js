@@ -10,18 +10,57 @@ const orderSchema = new mongoose.Schema({
     {
       name: { type: String, required: true },
       qty: { type: Number, required: true },
-      image: { type: String, required: true },
+      image: { type: String, default: '' },
       price: { type: Number, required: true },
+      // Product, accessory or setup, resolved through itemType
       product: {
         type: mongoose.Schema.Types.ObjectId,
         required: true,
-        ref: 'Product',
+        refPath: 'orderItems.itemType',
       },
+      itemType: {
+        type: String,
+        enum: ['Product', 'Accessory', 'FullMarineSetup'],
+        default: 'Product',
+      },
+      // Chosen product variant, if the product has any
+      variant: { type: mongoose.Schema.Types.ObjectId },
+      variantLabel: { type: String },
+      sku: { type: String },
+      // What a setup line contained when ordered (per setup)
+      bundleComponents: [
+        {
+          itemType: { type: String },
+          product: { type: mongoose.Schema.Types.ObjectId },
+          variant: { type: mongoose.Schema.Types.ObjectId },
+          name: { type: String },
+          quantity: { type: Number },
+          unitPrice: { type: Number },
+          gstRate: { type: Number },
+        },
+      ],
+      // Livestock on this line covered by open or approved DOA claims
+      doaClaimedQty: { type: Number, default: 0 },
+      // Share of the order's coupon discount taken off this line
+      discount: { type: Number, default: 0 },
+      // GST charged on this line
+      hsnCode: { type: String, default: '' },
+      gstRate: { type: Number, default: 0 },
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
     },
   ],
+  // Snapshot of the validated address the order ships to
   shippingAddress: {
+    name: { type: String },
+    phone: { type: String },
     address: { type: String, required: true },
+    line2: { type: String },
     city: { type: String, required: true },
+    district: { type: String },
+    state: { type: String },
     postalCode: { type: String, required: true },
     country: { type: String, required: true },
   },
@@ -45,16 +84,60 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0.0,
   },
+  // Coupon applied to the order; discountPrice is taken off itemsPrice
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+    },
+    code: { type: String },
+    description: { type: String },
+    amount: { type: Number },
+  },
+  discountPrice: {
+    type: Number,
+    default: 0.0,
+  },
+  // Order-level GST totals; taxPrice is cgst + sgst + igst
+  taxBreakdown: {
+    supplyType: { type: String, enum: ['intra-state', 'inter-state'] },
+    placeOfSupply: { type: String },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+  },
   shippingPrice: {
     type: Number,
     required: true,
     default: 0.0,
   },
+  // How shippingPrice was arrived at
+  shippingDetails: {
+    zone: { type: String },
+    transportCharge: { type: Number },
+    packagingCharge: { type: Number },
+  },
   totalPrice: {
     type: Number,
     required: true,
     default: 0.0,
   },
+  // Part of totalPrice paid from the customer's store credit
+  storeCreditApplied: {
+    type: Number,
+    default: 0,
+  },
+  // Set once storeCreditApplied has been given back on cancellation or refund
+  storeCreditReturned: {
+    type: Boolean,
+    default: false,
+  },
+  // totalPrice less storeCreditApplied
+  amountDue: {
+    type: Number,
+    default: 0,
+  },
   isPaid: {
     type: Boolean,
     required: true,
@@ -71,11 +154,49 @@ const orderSchema = new mongoose.Schema({
   deliveredAt: {
     type: Date,
   },
+  cancelledAt: {
+    type: Date,
+  },
+  refundedAt: {
+    type: Date,
+  },
+  // Whether this order is currently holding catalog stock
+  stockReserved: {
+    type: Boolean,
+    default: false,
+  },
+  // Dead-on-arrival claims raised against this order and their outcome
+  doaClaims: [
+    {
+      claim: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoaClaim',
+      },
+      orderItem: { type: mongoose.Schema.Types.ObjectId },
+      qty: { type: Number },
+      status: { type: String },
+      outcome: { type: String },
+      amount: { type: Number },
+      resolvedAt: { type: Date },
+    },
+  ],
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'delivered', 'cancelled'],
+    enum: ['pending', 'confirmed', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded'],
     default: 'pending',
   },
+  statusHistory: [
+    {
+      from: { type: String },
+      to: { type: String, required: true },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      note: { type: String },
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
 }, {
   timestamps: true,
 });
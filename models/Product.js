@@ -1,10 +1,91 @@
 const mongoose = require('mongoose');
 
+// A purchasable size/grade of a product, e.g. a medium pair of clownfish
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  size: {
+    type: String,
+    default: '',
+  },
+  grade: {
+    type: String,
+    default: '',
+  },
+  packType: {
+    type: String,
+    enum: ['single', 'pair'],
+    default: 'single',
+  },
+  price: {
+    type: Number,
+    required: true,
+  },
+  stock: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  images: {
+    type: [String],
+    default: [],
+  },
+}, {
+  toJSON: { virtuals: true },
+});
+
+// Human readable name for a variant, e.g. "Medium / Grade A / Pair"
+variantSchema.virtual('label').get(function() {
+  return [this.size, this.grade, this.packType === 'pair' ? 'Pair' : '']
+    .filter(Boolean)
+    .join(' / ');
+});
+
+// Husbandry details used to check that livestock can share a tank
+const livestockSchema = new mongoose.Schema({
+  waterType: {
+    type: String,
+    enum: ['freshwater', 'saltwater', 'brackish'],
+  },
+  temperament: {
+    type: String,
+    enum: ['peaceful', 'semi-aggressive', 'aggressive'],
+  },
+  reefSafe: {
+    type: Boolean,
+  },
+  // Groups this animal will eat, e.g. ['small-fish', 'shrimp']
+  predatorOf: {
+    type: [String],
+    default: [],
+  },
+  // Groups this animal belongs to as prey, e.g. ['shrimp', 'invertebrate']
+  preyGroups: {
+    type: [String],
+    default: [],
+  },
+  // Comfortable ranges, temperature in °C
+  temperatureMin: Number,
+  temperatureMax: Number,
+  phMin: Number,
+  phMax: Number,
+}, {
+  _id: false,
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
   },
+  // e.g. Amphiprion ocellaris
+  scientificName: {
+    type: String,
+    default: '',
+  },
   description: {
     type: String,
     required: true,
@@ -28,6 +109,18 @@ const productSchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
+  // HSN code printed on GST invoices
+  hsnCode: {
+    type: String,
+    default: '',
+  },
+  // GST rate in percent; catalog prices are exclusive of GST (live fish are exempt)
+  gstRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 40,
+  },
   rating: {
     type: Number,
     default: 0,
@@ -40,8 +133,30 @@ const productSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  variants: [variantSchema],
+  // Only set for livestock
+  livestock: {
+    type: livestockSchema,
+    default: undefined,
+  },
 }, {
   timestamps: true,
 });
 
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index(
+  { name: 'text', scientificName: 'text', description: 'text', additionalInfo: 'text' },
+  { name: 'catalog_text', weights: { name: 10, scientificName: 8, description: 2, additionalInfo: 1 } }
+);
+
+// With variants, the product's own price and stock summarise them: the
+// cheapest variant's price ("from ₹...") and the total stock
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.price = Math.min(...this.variants.map((variant) => variant.price));
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['Product', 'Accessory', 'FullMarineSetup'],
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+  },
+  comment: {
+    type: String,
+    required: true,
+  },
+  photos: {
+    type: [String],
+    default: [],
+  },
+  // The reviewer has a delivered order containing the item
+  verifiedPurchase: {
+    type: Boolean,
+    default: false,
+  },
+  // Only approved reviews are shown and counted in the item's rating
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'pending',
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  moderatedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// One review per customer per item
+reviewSchema.index({ itemType: 1, item: 1, user: 1 }, { unique: true });
+reviewSchema.index({ itemType: 1, item: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // States this zone covers. An empty list makes it the catch-all zone.
+  states: {
+    type: [String],
+    default: [],
+  },
+  // Districts within those states. An empty list covers the whole state.
+  districts: {
+    type: [String],
+    default: [],
+  },
+  // Transport charge (flight/bus) for the zone
+  transportCharge: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+  // Thermocol box charge for packed livestock
+  packagingCharge: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+  minOrderValue: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+  // Breaks ties between zones that match a destination equally well
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
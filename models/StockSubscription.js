@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A customer waiting for an out of stock item. Each subscription is emailed
+// once, the next time the item comes back in stock.
+const stockSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  itemType: {
+    type: String,
+    enum: ['Product', 'Accessory', 'FullMarineSetup'],
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true,
+  },
+  // Set when waiting for one variant rather than the product as a whole
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'notified'],
+    default: 'active',
+  },
+  notifiedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// One waiting subscription per customer per item
+stockSubscriptionSchema.index(
+  { user: 1, itemType: 1, item: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+stockSubscriptionSchema.index({ itemType: 1, item: 1, variant: 1, status: 1 });
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Other names customers use for a term, e.g. clownfish: nemo, ocellaris
+const synonymSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  synonyms: {
+    type: [String],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Synonym', synonymSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, STAFF_ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,11 +16,34 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Kept in step with role: every staff role is an admin
   isAdmin: {
     type: Boolean,
     required: true,
     default: false,
   },
+  role: {
+    type: String,
+    enum: ROLES,
+  },
+  // Address book; entries are checked against their PIN code before saving
+  addresses: [
+    {
+      label: String,
+      name: { type: String, required: true },
+      phone: { type: String, required: true },
+      line1: { type: String, required: true },
+      line2: String,
+      city: { type: String, required: true },
+      district: String,
+      state: { type: String, required: true },
+      pincode: { type: String, required: true },
+      isDefault: {
+        type: Boolean,
+        default: false,
+      },
+    },
+  ],
   billingAddress: {
     name: String,
     company: String,
@@ -40,16 +64,73 @@ const userSchema = new mongoose.Schema({
     phone: String,
     email: String,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Hash of the last verification code sent
+  emailVerificationCode: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
+  // Wrong guesses made against the current code
+  emailVerificationAttempts: Number,
+  // TOTP two-factor authentication. Secrets and recovery code hashes are
+  // never loaded unless asked for.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret waiting to be confirmed with a first code
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last time step a code was accepted for, so codes cannot be replayed
+    lastUsedStep: Number,
+    enabledAt: Date,
+  },
+  // Access tokens issued before this are rejected
+  tokensRevokedAt: {
+    type: Date,
+  },
+  // Abandoned cart reminder emails; customers can opt out
+  cartReminders: {
+    type: Boolean,
+    default: true,
+  },
+  // Hash of the password reset OTP
   resetPasswordOTP: String,
   resetPasswordOTPExpires: Date,
+  // Wrong guesses made against the current OTP
+  resetPasswordOTPAttempts: Number,
 }, {
   timestamps: true,
 });
 
+// Keep role and isAdmin in agreement. Setting a role decides isAdmin; older
+// code that only flips isAdmin makes the user an owner or a customer.
+userSchema.pre('validate', function(next) {
+  if (this.isModified('role') && this.role) {
+    this.isAdmin = STAFF_ROLES.includes(this.role);
+  } else if (this.isModified('isAdmin') || !this.role) {
+    this.role = this.isAdmin ? 'owner' : 'customer';
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+  // Which catalog the item comes from
+  itemType: {
+    type: String,
+    enum: ['Product', 'Accessory', 'FullMarineSetup'],
+    default: 'Product',
+  },
+  // Product, accessory or setup, resolved through itemType
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'items.itemType',
+    required: true,
+  },
+  // Preferred product variant, if the customer picked one
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true, // One wishlist per user
+  },
+  items: [wishlistItemSchema],
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
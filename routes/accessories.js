@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const Accessory = require('../models/Accessory');
 const Category = require('../models/Category');
+const { protect, authorize } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { stockSnapshot, notifyRestocked } = require('../utils/stockAlerts');
+const { parseGstRate } = require('../utils/tax');
+const { sendError } = require('../utils/httpError');
+const { itemReviewRoutes } = require('./reviews');
 
 // @desc    Fetch all accessories
 // @route   GET /api/accessories
@@ -115,7 +120,7 @@ router.get('/:id', async (req, res) => {
 // @desc    Delete an accessory
 // @route   DELETE /api/accessories/:id
 // @access  Private/Admin
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, authorize('catalog:write'), async (req, res) => {
   try {
     const accessory = await Accessory.findByIdAndDelete(req.params.id);
 
@@ -132,9 +137,10 @@ router.delete('/:id', async (req, res) => {
 // @desc    Create an accessory
 // @route   POST /api/accessories
 // @access  Private/Admin
-router.post('/', upload.array('images', 5), async (req, res) => {
+router.post('/', protect, authorize('catalog:write'), upload.array('images', 5), async (req, res) => {
   try {
-    const { name, price, description, stock } = req.body;
+    const { name, price, description, stock, hsnCode } = req.body;
+    const gstRate = parseGstRate(req.body.gstRate);
 
     // Use default "Accessories" category
     let categoryDoc = await Category.findOne({ name: 'Accessories' });
@@ -156,20 +162,23 @@ router.post('/', upload.array('images', 5), async (req, res) => {
       images,
       category: categoryDoc._id,
       stock,
+      hsnCode,
+      gstRate,
     });
 
     const createdAccessory = await accessory.save();
     res.status(201).json(createdAccessory);
   } catch (error) {
     console.error('Error creating accessory:', error);
-    res.status(400).json({ message: error.message });
+    error.statusCode = error.statusCode || 400;
+    sendError(res, error);
   }
 });
 
 // @desc    Update an accessory
 // @route   PUT /api/accessories/:id
 // @access  Private/Admin
-router.put('/:id', upload.array('images', 5), async (req, res) => {
+router.put('/:id', protect, authorize('catalog:write'), upload.array('images', 5), async (req, res) => {
   try {
     const {
       name,
@@ -177,16 +186,26 @@ router.put('/:id', upload.array('images', 5), async (req, res) => {
       description,
       category,
       stock,
+      hsnCode,
+      gstRate,
     } = req.body;
 
     const accessory = await Accessory.findById(req.params.id);
 
     if (accessory) {
+      const stockBefore = await stockSnapshot('Accessory', accessory);
+
       accessory.name = name;
       accessory.price = price;
       accessory.description = description;
       accessory.category = category;
       accessory.stock = stock;
+      if (hsnCode !== undefined) {
+        accessory.hsnCode = hsnCode;
+      }
+      if (gstRate !== undefined) {
+        accessory.gstRate = parseGstRate(gstRate);
+      }
 
       // Handle image uploads if provided
       if (req.files && req.files.length > 0) {
@@ -195,13 +214,17 @@ router.put('/:id', upload.array('images', 5), async (req, res) => {
       }
 
       const updatedAccessory = await accessory.save();
+      notifyRestocked('Accessory', updatedAccessory, stockBefore);
       res.json(updatedAccessory);
     } else {
       res.status(404).json({ message: 'Accessory not found' });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
+// Reviews
+router.use('/:id/reviews', itemReviewRoutes('Accessory'));
+
 module.exports = router;
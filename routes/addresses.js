@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { validateAddress } = require('../utils/address');
+const { sendError } = require('../utils/httpError');
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'line1', 'line2', 'city', 'district', 'state', 'pincode'];
+
+// Make one address the default and clear the flag on the others
+const setDefault = (user, address) => {
+  user.addresses.forEach((entry) => {
+    entry.isDefault = entry._id.equals(address._id);
+  });
+};
+
+const findAddress = (user, addressId) => user.addresses.id(addressId);
+
+// @desc    Get user's saved addresses
+// @route   GET /api/users/addresses
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('addresses');
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Add an address
+// @route   POST /api/users/addresses
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      res.status(400).json({ message: `You can save up to ${MAX_ADDRESSES} addresses` });
+      return;
+    }
+
+    user.addresses.push(validateAddress(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address saved is the default until another is chosen
+    if (req.body.isDefault === true || user.addresses.length === 1) {
+      setDefault(user, address);
+    }
+
+    await user.save();
+    res.status(201).json(address);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Update an address
+// @route   PUT /api/users/addresses/:addressId
+// @access  Private
+router.put('/:addressId', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = findAddress(user, req.params.addressId);
+
+    if (address) {
+      // Check the address as it will be saved, not just the changed fields
+      const merged = {};
+      ADDRESS_FIELDS.forEach((field) => {
+        merged[field] = req.body[field] !== undefined ? req.body[field] : address[field];
+      });
+      // A new PIN code may move the address to another state or district
+      if (req.body.pincode !== undefined && req.body.state === undefined) {
+        merged.state = '';
+      }
+      if ((req.body.pincode !== undefined || req.body.state !== undefined) && req.body.district === undefined) {
+        merged.district = '';
+      }
+
+      address.set(validateAddress(merged));
+      if (req.body.isDefault === true) {
+        setDefault(user, address);
+      }
+
+      await user.save();
+      res.json(address);
+    } else {
+      res.status(404).json({ message: 'Address not found' });
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Make an address the default
+// @route   PUT /api/users/addresses/:addressId/default
+// @access  Private
+router.put('/:addressId/default', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = findAddress(user, req.params.addressId);
+
+    if (address) {
+      setDefault(user, address);
+      await user.save();
+      res.json(user.addresses);
+    } else {
+      res.status(404).json({ message: 'Address not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Delete an address
+// @route   DELETE /api/users/addresses/:addressId
+// @access  Private
+router.delete('/:addressId', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = findAddress(user, req.params.addressId);
+
+    if (address) {
+      const wasDefault = address.isDefault;
+      address.deleteOne();
+
+      // Keep a default while any address is left
+      if (wasDefault && user.addresses.length > 0) {
+        setDefault(user, user.addresses[0]);
+      }
+
+      await user.save();
+      res.json(user.addresses);
+    } else {
+      res.status(404).json({ message: 'Address not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
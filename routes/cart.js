@@ -1,18 +1,65 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Cart = require('../models/Cart');
-const { protect } = require('../middleware/auth');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { cartAccess } = require('../middleware/auth');
+const { checkCompatibility } = require('../utils/compatibility');
+const { findCatalogItem } = require('../utils/catalog');
+const { sendError } = require('../utils/httpError');
+const {
+  isSameLine,
+  sameConfiguration,
+  signCartToken,
+  guestCartExpiry,
+  describeCartLine,
+  lineStock,
+  revalidateCart,
+} = require('../utils/cart');
 
-// @desc    Get user's cart
+// The cart a request may use: the user's own, or the guest cart named by its
+// cart token
+const cartFilter = (req) => (req.user
+  ? { user: req.user._id }
+  : { _id: req.guestCartId, user: { $exists: false } });
+
+const findCart = (req) => Cart.findOne(cartFilter(req));
+
+// Reconcile a cart with the live catalog, save it and send it back along with
+// whatever had to change, after any changes the caller already made. Guest
+// carts get a fresh expiry and the cart token the client needs to find them
+// again.
+const sendCart = async (res, cart, status = 200, earlierChanges = []) => {
+  const changes = earlierChanges.concat(await revalidateCart(cart));
+
+  if (!cart.user) {
+    cart.expiresAt = guestCartExpiry();
+  }
+
+  const savedCart = await cart.save();
+  await savedCart.populate('items.product');
+
+  const body = { ...savedCart.toJSON(), changes };
+  if (!savedCart.user) {
+    body.cartToken = signCartToken(savedCart._id);
+  }
+  res.status(status).json(body);
+};
+
+// Most tank inhabitants a compatibility check will look at
+const MAX_TANK_ITEMS = 100;
+
+// @desc    Get user's or guest's cart
 // @route   GET /api/cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Private or guest (X-Cart-Token)
+router.get('/', cartAccess, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+    const cart = await findCart(req);
     if (cart) {
-      res.json(cart);
+      await sendCart(res, cart);
     } else {
-      res.json({ items: [] });
+      res.json({ items: [], changes: [] });
     }
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -21,61 +68,149 @@ router.get('/', protect, async (req, res) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart
-// @access  Private
-router.post('/', protect, async (req, res) => {
+// @access  Private or guest (X-Cart-Token)
+router.post('/', cartAccess, async (req, res) => {
   try {
-    const { productId, name, price, image, quantity = 1 } = req.body;
+    const { productId, itemType, variantId, configuration } = req.body;
+    const quantity = Number(req.body.quantity || 1);
 
-    let cart = await Cart.findOne({ user: req.user._id });
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      res.status(400).json({ message: 'Quantity must be a whole number of at least 1' });
+      return;
+    }
+
+    // Work out which catalog the item lives in when the client does not say
+    const found = await findCatalogItem(productId, itemType);
+    if (!found) {
+      res.status(404).json({ message: 'Item not found' });
+      return;
+    }
+
+    // Name, price and image always come from the catalog, never the client
+    const details = await describeCartLine(found.itemType, found.doc, { variant: variantId, configuration });
+    const line = {
+      itemType: found.itemType,
+      product: found.doc._id,
+      variant: details.variant,
+      sku: details.sku,
+      configuration,
+      name: details.name,
+      price: details.price,
+      image: details.image,
+      quantity,
+    };
+
+    let cart = await findCart(req);
+    const changes = [];
 
     if (!cart) {
-      // Create new cart
+      // Create new cart, a guest cart when nobody is signed in
       cart = new Cart({
-        user: req.user._id,
-        items: [{
-          product: productId,
-          name,
-          price,
-          image,
-          quantity,
-        }],
+        ...(req.user ? { user: req.user._id } : {}),
+        items: [line],
       });
     } else {
       // Check if item already exists in cart
       const existingItem = cart.items.find(item =>
-        item.product.toString() === productId
+        isSameLine(item, productId, variantId)
       );
 
       if (existingItem) {
+        // A setup added again with other choices takes the new configuration
+        if (!sameConfiguration(existingItem.configuration, line.configuration)) {
+          existingItem.configuration = line.configuration || [];
+          changes.push({
+            product: existingItem.product,
+            variant: existingItem.variant,
+            name: existingItem.name,
+            type: 'configuration',
+          });
+        }
         // Update quantity
         existingItem.quantity += quantity;
       } else {
         // Add new item
-        cart.items.push({
-          product: productId,
-          name,
-          price,
-          image,
-          quantity,
-        });
+        cart.items.push(line);
       }
     }
 
-    const savedCart = await cart.save();
-    await savedCart.populate('items.product');
-    res.status(201).json(savedCart);
+    await sendCart(res, cart, 201, changes);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Check livestock in the cart can live together
+// @route   POST /api/cart/compatibility
+// @access  Private or guest (X-Cart-Token)
+router.post('/compatibility', cartAccess, async (req, res) => {
+  try {
+    const { existingStock = [], includeOrderHistory = false, reefTank = false } = req.body;
+
+    if (!Array.isArray(existingStock) || existingStock.length > MAX_TANK_ITEMS ||
+        !existingStock.every((id) => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        message: `existingStock must be a list of up to ${MAX_TANK_ITEMS} product ids`,
+      });
+    }
+
+    const cart = await findCart(req);
+    const cartIds = cart
+      ? cart.items.filter(item => item.itemType === 'Product').map(item => item.product)
+      : [];
+
+    // What already lives in the tank: products the customer lists, plus
+    // livestock from their delivered orders if asked and signed in
+    let tankIds = existingStock;
+    if (includeOrderHistory && req.user) {
+      const orders = await Order.find({ user: req.user._id, status: 'delivered' }).select('orderItems');
+      orders.forEach(order => {
+        tankIds = tankIds.concat(order.orderItems
+          .filter(item => item.itemType === 'Product')
+          .map(item => item.product));
+      });
+    }
+
+    const products = await Product.find({ _id: { $in: cartIds.concat(tankIds) } })
+      .select('name livestock');
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    const toEntry = (source) => (id) => {
+      const product = byId.get(id.toString());
+      return product && {
+        name: product.name,
+        livestock: product.livestock,
+        source,
+      };
+    };
+
+    const cartEntries = cartIds.map(toEntry('cart')).filter(Boolean);
+    const cartKeys = new Set(cartIds.map(id => id.toString()));
+    const tankEntries = [...new Set(tankIds.map(id => id.toString()))]
+      .filter(id => !cartKeys.has(id))
+      .map(toEntry('tank'))
+      .filter(Boolean);
+
+    res.json(checkCompatibility(cartEntries.concat(tankEntries), { reefTank }));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // @desc    Update cart item quantity
-// @route   PUT /api/cart/:productId
-// @access  Private
-router.put('/:productId', protect, async (req, res) => {
+// @route   PUT /api/cart/:productId?variant=:variantId
+// @access  Private or guest (X-Cart-Token)
+router.put('/:productId', cartAccess, async (req, res) => {
   try {
-    const { quantity } = req.body;
-    const cart = await Cart.findOne({ user: req.user._id });
+    const quantity = Number(req.body.quantity);
+    const variantId = req.query.variant || req.body.variantId;
+
+    if (!Number.isInteger(quantity)) {
+      res.status(400).json({ message: 'Quantity must be a whole number' });
+      return;
+    }
+
+    const cart = await findCart(req);
 
     if (!cart) {
       res.status(404).json({ message: 'Cart not found' });
@@ -83,7 +218,7 @@ router.put('/:productId', protect, async (req, res) => {
     }
 
     const itemIndex = cart.items.findIndex(item =>
-      item.product.toString() === req.params.productId
+      isSameLine(item, req.params.productId, variantId)
     );
 
     if (itemIndex === -1) {
@@ -95,23 +230,28 @@ router.put('/:productId', protect, async (req, res) => {
       // Remove item if quantity is 0 or negative
       cart.items.splice(itemIndex, 1);
     } else {
+      // Items that are gone altogether are dropped when the cart is sent
+      const stock = await lineStock(cart.items[itemIndex]);
+      if (stock !== null && quantity > stock) {
+        res.status(400).json({ message: `Only ${stock} of this item in stock`, available: stock });
+        return;
+      }
       cart.items[itemIndex].quantity = quantity;
     }
 
-    const savedCart = await cart.save();
-    await savedCart.populate('items.product');
-    res.json(savedCart);
+    await sendCart(res, cart);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // @desc    Remove item from cart
-// @route   DELETE /api/cart/:productId
-// @access  Private
-router.delete('/:productId', protect, async (req, res) => {
+// @route   DELETE /api/cart/:productId?variant=:variantId
+// @access  Private or guest (X-Cart-Token)
+router.delete('/:productId', cartAccess, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const variantId = req.query.variant;
+    const cart = await findCart(req);
 
     if (!cart) {
       res.status(404).json({ message: 'Cart not found' });
@@ -119,12 +259,10 @@ router.delete('/:productId', protect, async (req, res) => {
     }
 
     cart.items = cart.items.filter(item =>
-      item.product.toString() !== req.params.productId
+      !isSameLine(item, req.params.productId, variantId)
     );
 
-    const savedCart = await cart.save();
-    await savedCart.populate('items.product');
-    res.json(savedCart);
+    await sendCart(res, cart);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -132,10 +270,10 @@ router.delete('/:productId', protect, async (req, res) => {
 
 // @desc    Clear cart
 // @route   DELETE /api/cart
-// @access  Private
-router.delete('/', protect, async (req, res) => {
+// @access  Private or guest (X-Cart-Token)
+router.delete('/', cartAccess, async (req, res) => {
   try {
-    await Cart.findOneAndDelete({ user: req.user._id });
+    await Cart.findOneAndDelete(cartFilter(req));
     res.json({ message: 'Cart cleared' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
 const upload = require('../middleware/upload');
-const { protect, admin } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 // @desc    Fetch all categories with product count
 // @route   GET /api/categories
@@ -55,7 +55,7 @@ router.get('/:id', async (req, res) => {
 // @desc    Delete a category
 // @route   DELETE /api/categories/:id
 // @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+router.delete('/:id', protect, authorize('catalog:write'), async (req, res) => {
   try {
     const category = await Category.findByIdAndDelete(req.params.id);
 
@@ -72,7 +72,7 @@ router.delete('/:id', protect, admin, async (req, res) => {
 // @desc    Create a category
 // @route   POST /api/categories
 // @access  Private/Admin
-router.post('/', protect, admin, upload.single('image'), upload.uploadErrorHandler, async (req, res) => {
+router.post('/', protect, authorize('catalog:write'), upload.single('image'), upload.uploadErrorHandler, async (req, res) => {
   try {
     console.log('POST /api/categories - req.body:', req.body);
     console.log('POST /api/categories - req.file:', req.file);
@@ -106,7 +106,7 @@ router.post('/', protect, admin, upload.single('image'), upload.uploadErrorHandl
 // @desc    Update a category
 // @route   PUT /api/categories/:id
 // @access  Private/Admin
-router.put('/:id', protect, admin, upload.single('image'), upload.uploadErrorHandler, async (req, res) => {
+router.put('/:id', protect, authorize('catalog:write'), upload.single('image'), upload.uploadErrorHandler, async (req, res) => {
   try {
     const { name, description } = req.body;
     const image = req.file ? req.file.filename : undefined;
@@ -1,6 +1,15 @@
 const express = require('express');
 const nodemailer = require('nodemailer');
 const router = express.Router();
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Each visitor may send a handful of messages an hour
+const contactLimit = rateLimit({
+  name: 'contact',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many messages sent, please try again later',
+});
 
 // Create transporter using Gmail SMTP
 const transporter = nodemailer.createTransport({
@@ -14,7 +23,7 @@ const transporter = nodemailer.createTransport({
 });
 
 // POST /api/contact - Send contact form email
-router.post('/', async (req, res) => {
+router.post('/', contactLimit, async (req, res) => {
   try {
     const { name, email, phone, subject, message } = req.body;
 
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const { protect, authorize } = require('../middleware/auth');
+const { toOrderLines, priceOrderItems, sumItemsPrice } = require('../utils/pricing');
+const { findCoupon, applyCoupon } = require('../utils/coupons');
+const { roundMoney } = require('../utils/money');
+const { sendError } = require('../utils/httpError');
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'minOrderValue',
+  'usageLimit',
+  'perUserLimit',
+  'validFrom',
+  'validUntil',
+  'categories',
+  'itemTypes',
+  'isActive',
+];
+
+// @desc    Check a coupon against the user's cart
+// @route   POST /api/coupons/validate
+// @access  Private
+router.post('/validate', protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+    let { items } = req.body;
+
+    // Fall back to the saved cart when the client does not send its items
+    if (!Array.isArray(items) || items.length === 0) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      items = cart ? cart.items : [];
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' });
+    }
+
+    const pricedItems = await priceOrderItems(toOrderLines(items));
+
+    const coupon = await findCoupon(code);
+    const { orderItems, discount } = await applyCoupon(coupon, pricedItems, req.user._id);
+    const itemsPrice = sumItemsPrice(orderItems);
+
+    res.json({
+      valid: true,
+      discount,
+      itemsPrice,
+      discountPrice: discount.amount,
+      discountedItemsPrice: roundMoney(itemsPrice - discount.amount),
+      items: orderItems.map((item) => ({
+        product: item.product,
+        itemType: item.itemType,
+        name: item.name,
+        discount: item.discount || 0,
+      })),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Fetch all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+router.get('/', protect, authorize('coupons:manage'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+router.post('/', protect, authorize('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = new Coupon({});
+    COUPON_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+
+    const createdCoupon = await coupon.save();
+    res.status(201).json(createdCoupon);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+router.put('/:id', protect, authorize('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (coupon) {
+      COUPON_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          coupon[field] = req.body[field];
+        }
+      });
+
+      const updatedCoupon = await coupon.save();
+      res.json(updatedCoupon);
+    } else {
+      res.status(404).json({ message: 'Coupon not found' });
+    }
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Delete a coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (coupon) {
+      res.json({ message: 'Coupon removed' });
+    } else {
+      res.status(404).json({ message: 'Coupon not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DoaClaim = require('../models/DoaClaim');
+const Order = require('../models/Order');
+const { protect, authorize } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { evidenceUpload, evidenceUploadErrorHandler, discardUploadsOnError } = require('../middleware/upload');
+const { roundMoney } = require('../utils/money');
+const { grantCredit } = require('../utils/wallet');
+const { sendError } = require('../utils/httpError');
+
+// Hours after delivery within which a DOA must be reported (refund policy)
+const CLAIM_WINDOW_HOURS = Number(process.env.DOA_CLAIM_WINDOW_HOURS) || 2;
+
+const evidenceFromFiles = (files) => (files || []).map((file) => ({
+  path: `/uploads/${file.filename}`,
+  mimetype: file.mimetype,
+}));
+
+const canViewClaim = (claim, user) =>
+  hasPermission(user, 'claims:read') || claim.user.toString() === user._id.toString();
+
+// @desc    Open a DOA claim against a delivered order line
+// @route   POST /api/doa-claims
+// @access  Private
+router.post('/', protect, discardUploadsOnError, evidenceUpload.array('evidence', 5), evidenceUploadErrorHandler, async (req, res) => {
+  try {
+    const { orderId, orderItemId, description } = req.body;
+    const qty = Number(req.body.qty) || 1;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'An unboxing video or photo is required as evidence' });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status !== 'delivered' || !order.deliveredAt) {
+      return res.status(400).json({ message: 'DOA claims can only be raised on delivered orders' });
+    }
+
+    const deadline = new Date(order.deliveredAt.getTime() + CLAIM_WINDOW_HOURS * 60 * 60 * 1000);
+    if (Date.now() > deadline.getTime()) {
+      return res.status(400).json({
+        message: `DOA claims must be reported within ${CLAIM_WINDOW_HOURS} hours of delivery`,
+        deadline,
+      });
+    }
+
+    const orderItem = order.orderItems.id(orderItemId);
+    if (!orderItem) {
+      return res.status(404).json({ message: 'Order item not found' });
+    }
+
+    if (!Number.isInteger(qty) || qty < 1) {
+      return res.status(400).json({ message: 'Claimed quantity must be a whole number of at least 1' });
+    }
+
+    const claimLimitError = (line) => ({
+      message: `At most ${Math.max(line.qty - (line.doaClaimedQty || 0), 0)} of ${line.name} can still be claimed`,
+    });
+
+    if (qty > orderItem.qty) {
+      return res.status(400).json(claimLimitError(orderItem));
+    }
+
+    // Count the claim against the line with a conditional update, so two
+    // claims sent together cannot cover more livestock than was ordered.
+    // Lines from before the counter existed have had it backfilled; a line
+    // without it has no claims yet.
+    const claimId = new mongoose.Types.ObjectId();
+    const maxClaimed = orderItem.qty - qty;
+    const counted = await Order.updateOne(
+      {
+        _id: order._id,
+        orderItems: {
+          $elemMatch: {
+            _id: orderItem._id,
+            $or: [{ doaClaimedQty: { $lte: maxClaimed } }, { doaClaimedQty: { $exists: false } }],
+          },
+        },
+      },
+      {
+        $inc: { 'orderItems.$.doaClaimedQty': qty },
+        $push: {
+          doaClaims: {
+            claim: claimId,
+            orderItem: orderItem._id,
+            qty,
+            status: 'open',
+          },
+        },
+      }
+    );
+
+    if (counted.modifiedCount === 0) {
+      const current = await Order.findById(order._id);
+      return res.status(400).json(claimLimitError(current.orderItems.id(orderItem._id)));
+    }
+
+    let claim;
+    try {
+      claim = await DoaClaim.create({
+        _id: claimId,
+        order: order._id,
+        orderItem: orderItem._id,
+        user: req.user._id,
+        product: orderItem.product,
+        itemType: orderItem.itemType,
+        productName: orderItem.name,
+        qty,
+        description: description || '',
+        evidence: evidenceFromFiles(req.files),
+        deadline,
+      });
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id, 'orderItems._id': orderItem._id },
+        {
+          $inc: { 'orderItems.$.doaClaimedQty': -qty },
+          $pull: { doaClaims: { claim: claimId } },
+        }
+      );
+      throw error;
+    }
+
+    res.status(201).json(claim);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Get logged in user's DOA claims
+// @route   GET /api/doa-claims/mine
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const claims = await DoaClaim.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(claims);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Get all DOA claims, optionally filtered by status
+// @route   GET /api/doa-claims
+// @access  Private/Admin
+router.get('/', protect, authorize('claims:read'), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const claims = await DoaClaim.find(filter)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(claims);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Get DOA claim by ID
+// @route   GET /api/doa-claims/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const claim = await DoaClaim.findById(req.params.id);
+
+    if (claim && canViewClaim(claim, req.user)) {
+      res.json(claim);
+    } else {
+      res.status(404).json({ message: 'Claim not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Add evidence to an open DOA claim
+// @route   POST /api/doa-claims/:id/evidence
+// @access  Private
+router.post('/:id/evidence', protect, discardUploadsOnError, evidenceUpload.array('evidence', 5), evidenceUploadErrorHandler, async (req, res) => {
+  try {
+    const claim = await DoaClaim.findById(req.params.id);
+
+    if (!claim || claim.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (claim.status !== 'open') {
+      return res.status(400).json({ message: 'Evidence can only be added to open claims' });
+    }
+
+    if (Date.now() > claim.deadline.getTime()) {
+      return res.status(400).json({ message: 'The window for adding evidence has closed', deadline: claim.deadline });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No evidence files uploaded' });
+    }
+
+    claim.evidence.push(...evidenceFromFiles(req.files));
+    const updatedClaim = await claim.save();
+    res.json(updatedClaim);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Approve or reject a DOA claim
+// @route   PUT /api/doa-claims/:id/resolve
+// @access  Private/Admin
+router.put('/:id/resolve', protect, authorize('claims:resolve'), async (req, res) => {
+  try {
+    const { status, outcome, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or rejected' });
+    }
+
+    if (status === 'approved' && !['replacement', 'store_credit'].includes(outcome)) {
+      return res.status(400).json({ message: 'Approved claims need an outcome of replacement or store_credit' });
+    }
+
+    const claim = await DoaClaim.findById(req.params.id);
+
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (claim.status !== 'open') {
+      return res.status(400).json({ message: `Claim has already been ${claim.status}` });
+    }
+
+    const order = await Order.findById(claim.order);
+    const orderItem = order && order.orderItems.id(claim.orderItem);
+
+    // Store credit defaults to what the customer paid for the dead
+    // livestock, after the line's share of any coupon; shipping and handling
+    // are not covered by the DOA policy. Credit for a line never adds up to
+    // more than was paid for it.
+    let amount;
+    if (status === 'approved' && outcome === 'store_credit') {
+      const linePaid = orderItem ? orderItem.price * orderItem.qty - (orderItem.discount || 0) : 0;
+      const credited = order
+        ? order.doaClaims
+          .filter((entry) => entry.orderItem && entry.orderItem.equals(claim.orderItem) && entry.outcome === 'store_credit')
+          .reduce((total, entry) => total + (entry.amount || 0), 0)
+        : 0;
+      const creditLeft = roundMoney(Math.max(linePaid - credited, 0));
+
+      const given = req.body.amount !== undefined && req.body.amount !== '';
+      const value = given ? Number(req.body.amount) : (orderItem ? linePaid / orderItem.qty * claim.qty : 0);
+      if (!Number.isFinite(value) || roundMoney(value) <= 0) {
+        return res.status(400).json({ message: 'Store credit amount must be a positive number' });
+      }
+      if (given && roundMoney(value) > creditLeft) {
+        return res.status(400).json({
+          message: `Store credit for this line cannot exceed the ₹${creditLeft} paid and not yet credited`,
+          creditLeft,
+        });
+      }
+      amount = Math.min(roundMoney(value), creditLeft);
+      if (amount <= 0) {
+        return res.status(400).json({ message: 'This line has already been credited in full', creditLeft });
+      }
+    }
+
+    // Only resolve a claim that is still open, so it is never resolved twice
+    const updatedClaim = await DoaClaim.findOneAndUpdate(
+      { _id: claim._id, status: 'open' },
+      {
+        status,
+        resolution: {
+          outcome: status === 'approved' ? outcome : undefined,
+          amount,
+          note,
+          resolvedBy: req.user._id,
+          resolvedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!updatedClaim) {
+      return res.status(409).json({ message: 'Claim was resolved by someone else' });
+    }
+
+    // Credit is granted before the order records the outcome. If the grant
+    // fails the claim goes back to open so it can be resolved again.
+    if (updatedClaim.resolution.outcome === 'store_credit') {
+      try {
+        await grantCredit({
+          user: updatedClaim.user,
+          amount,
+          reason: `DOA compensation for ${updatedClaim.productName}`,
+          order: updatedClaim.order,
+          claim: updatedClaim._id,
+          createdBy: req.user._id,
+        });
+      } catch (error) {
+        await DoaClaim.updateOne(
+          { _id: claim._id, status: 'approved' },
+          { status: 'open', $unset: { resolution: 1 } }
+        );
+        throw error;
+      }
+    }
+
+    // A rejected claim no longer counts against the line's quantity
+    await Order.updateOne(
+      { _id: claim.order },
+      {
+        $set: {
+          'doaClaims.$[entry].status': updatedClaim.status,
+          'doaClaims.$[entry].outcome': updatedClaim.resolution.outcome,
+          'doaClaims.$[entry].amount': updatedClaim.resolution.amount,
+          'doaClaims.$[entry].resolvedAt': updatedClaim.resolution.resolvedAt,
+        },
+        $inc: { 'orderItems.$[line].doaClaimedQty': status === 'rejected' ? -claim.qty : 0 },
+      },
+      { arrayFilters: [{ 'entry.claim': claim._id }, { 'line._id': claim.orderItem }] }
+    );
+
+    res.json(updatedClaim);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
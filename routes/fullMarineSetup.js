@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const FullMarineSetup = require('../models/FullMarineSetup');
+const { protect, authorize } = require('../middleware/auth');
+const { resolveBundle, withBundleDetails } = require('../utils/bundles');
+const { sendError } = require('../utils/httpError');
+const { parseGstRate } = require('../utils/tax');
+const { stockSnapshot, notifyRestocked } = require('../utils/stockAlerts');
+const { itemReviewRoutes } = require('./reviews');
 
 // @desc    Fetch all full marine setup products
 // @route   GET /api/full-marine-setup
@@ -22,10 +28,11 @@ router.get('/', async (req, res) => {
     const sortOption = req.query.sortBy === 'rating' ? { rating: -1 } : { createdAt: -1 };
 
     const count = await FullMarineSetup.countDocuments({ ...keyword });
-    const products = await FullMarineSetup.find({ ...keyword })
+    const setups = await FullMarineSetup.find({ ...keyword })
       .sort(sortOption)
       .limit(pageSize)
       .skip(pageSize * (page - 1));
+    const products = await Promise.all(setups.map(withBundleDetails));
 
     res.json({ products, page, pages: Math.ceil(count / pageSize) });
   } catch (error) {
@@ -41,7 +48,7 @@ router.get('/:id', async (req, res) => {
     const product = await FullMarineSetup.findById(req.params.id);
 
     if (product) {
-      res.json(product);
+      res.json(await withBundleDetails(product));
     } else {
       res.status(404).json({ message: 'Product not found' });
     }
@@ -51,10 +58,28 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Price a setup with the customer's component swaps and omissions
+// @route   POST /api/full-marine-setup/:id/configure
+// @access  Public
+router.post('/:id/configure', async (req, res) => {
+  try {
+    const product = await FullMarineSetup.findById(req.params.id);
+
+    if (product) {
+      const bundle = await resolveBundle(product, req.body.configuration);
+      res.json(bundle);
+    } else {
+      res.status(404).json({ message: 'Product not found' });
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // @desc    Delete a full marine setup product
 // @route   DELETE /api/full-marine-setup/:id
 // @access  Private/Admin
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, authorize('catalog:write'), async (req, res) => {
   try {
     const product = await FullMarineSetup.findByIdAndDelete(req.params.id);
 
@@ -71,9 +96,19 @@ router.delete('/:id', async (req, res) => {
 // @desc    Create a full marine setup product
 // @route   POST /api/full-marine-setup
 // @access  Private/Admin
-router.post('/', async (req, res) => {
+router.post('/', protect, authorize('catalog:write'), async (req, res) => {
   try {
-    const { name, price, description, image, stock } = req.body;
+    const {
+      name,
+      price,
+      description,
+      image,
+      stock,
+      hsnCode,
+      gstRate,
+      components,
+      bundleDiscountPercent,
+    } = req.body;
 
     const product = new FullMarineSetup({
       name,
@@ -81,21 +116,29 @@ router.post('/', async (req, res) => {
       description,
       image,
       stock,
+      hsnCode,
+      gstRate: parseGstRate(gstRate),
+      components,
+      bundleDiscountPercent,
       numReviews: 0,
       rating: 0,
     });
 
+    // Make sure every component resolves to a live catalog item
+    await resolveBundle(product);
+
     const createdProduct = await product.save();
-    res.status(201).json(createdProduct);
+    res.status(201).json(await withBundleDetails(createdProduct));
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    error.statusCode = error.statusCode || 400;
+    sendError(res, error);
   }
 });
 
 // @desc    Update a full marine setup product
 // @route   PUT /api/full-marine-setup/:id
 // @access  Private/Admin
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, authorize('catalog:write'), async (req, res) => {
   try {
     const {
       name,
@@ -103,71 +146,51 @@ router.put('/:id', async (req, res) => {
       description,
       image,
       stock,
+      hsnCode,
+      gstRate,
+      components,
+      bundleDiscountPercent,
     } = req.body;
 
     const product = await FullMarineSetup.findById(req.params.id);
 
     if (product) {
+      const stockBefore = await stockSnapshot('FullMarineSetup', product);
+
       product.name = name;
       product.price = price;
       product.description = description;
       product.image = image;
       product.stock = stock;
-
-      const updatedProduct = await product.save();
-      res.json(updatedProduct);
-    } else {
-      res.status(404).json({ message: 'Product not found' });
-    }
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
-
-// @desc    Create new review
-// @route   POST /api/full-marine-setup/:id/reviews
-// @access  Private
-router.post('/:id/reviews', async (req, res) => {
-  try {
-    const { rating, comment } = req.body;
-
-    const product = await FullMarineSetup.findById(req.params.id);
-
-    if (product) {
-      const alreadyReviewed = product.reviews.find(
-        (r) => r.user.toString() === req.user._id.toString()
-      );
-
-      if (alreadyReviewed) {
-        res.status(400).json({ message: 'Product already reviewed' });
-        return;
+      if (hsnCode !== undefined) {
+        product.hsnCode = hsnCode;
+      }
+      if (gstRate !== undefined) {
+        product.gstRate = parseGstRate(gstRate);
+      }
+      if (components !== undefined) {
+        product.components = components;
+      }
+      if (bundleDiscountPercent !== undefined) {
+        product.bundleDiscountPercent = bundleDiscountPercent;
       }
 
-      const review = {
-        name: req.user.name,
-        rating: Number(rating),
-        comment,
-        user: req.user._id,
-      };
-
-      product.reviews.push(review);
-
-      product.numReviews = product.reviews.length;
-
-      product.rating =
-        product.reviews.reduce((acc, item) => item.rating + acc, 0) /
-        product.reviews.length;
+      await resolveBundle(product);
 
-      await product.save();
-      res.status(201).json({ message: 'Review added' });
+      const updatedProduct = await product.save();
+      notifyRestocked('FullMarineSetup', updatedProduct, stockBefore);
+      res.json(await withBundleDetails(updatedProduct));
     } else {
       res.status(404).json({ message: 'Product not found' });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
+// Reviews
+router.use('/:id/reviews', itemReviewRoutes('FullMarineSetup'));
+
 // @desc    Get top rated full marine setup products
 // @route   GET /api/full-marine-setup/top
 // @access  Public
@@ -1,62 +1,132 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const { protect, admin } = require('../middleware/auth');
+const User = require('../models/User');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { buildOrderPricing } = require('../utils/pricing');
+const { reserveStock, releaseStock } = require('../utils/stock');
+const { transitionOrder, markOrderPaid } = require('../utils/orderStatus');
+const { debitCredit, grantCredit } = require('../utils/wallet');
+const { roundMoney } = require('../utils/money');
+const { redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const { validateAddress, toOrderShippingAddress } = require('../utils/address');
+const { httpError, sendError } = require('../utils/httpError');
+
+// The address an order ships to: a saved address chosen by addressId, an
+// address given in full, or else the customer's default address. Whichever
+// it is, it is checked against its PIN code before it is snapshotted.
+const resolveShippingAddress = async (userId, { addressId, shippingAddress }) => {
+  if (!addressId && shippingAddress) {
+    return toOrderShippingAddress(validateAddress(shippingAddress));
+  }
+
+  const user = await User.findById(userId).select('addresses');
+  const saved = addressId
+    ? user.addresses.id(addressId)
+    : user.addresses.find((entry) => entry.isDefault);
+
+  if (saved) {
+    return toOrderShippingAddress(validateAddress(saved.toObject()));
+  }
+  throw addressId
+    ? httpError(404, 'Address not found')
+    : httpError(400, 'Shipping address is required');
+};
 
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, requireVerifiedEmail, async (req, res) => {
   try {
-    const {
-      orderItems,
-      shippingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-    } = req.body;
-
-    if (orderItems && orderItems.length === 0) {
+    const { orderItems, paymentMethod, storeCredit } = req.body;
+
+    if (!Array.isArray(orderItems) || orderItems.length === 0) {
       res.status(400).json({ message: 'No order items' });
       return;
     }
 
-    // Calculate subtotal from order items if not provided
-    let calculatedItemsPrice = itemsPrice;
-    if (!itemsPrice || itemsPrice === 0) {
-      calculatedItemsPrice = orderItems.reduce((total, item) => {
-        const itemTotal = (item.price || 0) * (item.qty || 0);
-        console.log('Calculating item:', item.name, 'Price:', item.price, 'Qty:', item.qty, 'Total:', itemTotal);
-        return total + itemTotal;
-      }, 0);
-      console.log('Calculated subtotal:', calculatedItemsPrice);
-    }
+    const shippingAddress = await resolveShippingAddress(req.user._id, req.body);
 
-    // Calculate total if not provided
-    let calculatedTotalPrice = totalPrice;
-    if (!totalPrice || totalPrice === 0) {
-      calculatedTotalPrice = calculatedItemsPrice + (shippingPrice || 0);
-    }
+    // Names, images, prices and totals are all rebuilt from the catalog
+    const pricing = await buildOrderPricing({ ...req.body, shippingAddress }, { userId: req.user._id });
+
+    // Store credit pays for part (or all) of the order; the rest is due
+    const storeCreditApplied = roundMoney(Math.min(Math.max(Number(storeCredit) || 0, 0), pricing.totalPrice));
+    const amountDue = roundMoney(pricing.totalPrice - storeCreditApplied);
+    const paidInFull = storeCreditApplied > 0 && amountDue === 0;
 
     const order = new Order({
-      orderItems,
+      orderItems: pricing.orderItems,
       user: req.user._id,
       shippingAddress,
-      paymentMethod,
-      itemsPrice: calculatedItemsPrice,
-      taxPrice: taxPrice || 0,
-      shippingPrice: shippingPrice || 0,
-      totalPrice: calculatedTotalPrice,
+      paymentMethod: paidInFull && !paymentMethod ? 'Store Credit' : paymentMethod,
+      itemsPrice: pricing.itemsPrice,
+      discount: pricing.discount,
+      discountPrice: pricing.discountPrice,
+      taxPrice: pricing.taxPrice,
+      taxBreakdown: pricing.taxBreakdown,
+      shippingPrice: pricing.shippingPrice,
+      shippingDetails: {
+        zone: pricing.shipping.zone,
+        transportCharge: pricing.shipping.transportCharge,
+        packagingCharge: pricing.shipping.packagingCharge,
+      },
+      totalPrice: pricing.totalPrice,
+      storeCreditApplied,
+      amountDue,
+      isPaid: paidInFull,
+      paidAt: paidInFull ? Date.now() : undefined,
+      stockReserved: true,
+      statusHistory: [{
+        to: 'pending',
+        changedBy: req.user._id,
+        note: 'Order placed',
+      }],
     });
 
-    const createdOrder = await order.save();
+    await order.validate();
+
+    // Take stock, the coupon use and store credit only once the order is
+    // known to be valid, and hand back whatever was taken if a step fails
+    const rollbacks = [];
+    let createdOrder;
+    try {
+      await reserveStock(pricing.orderItems);
+      rollbacks.push(() => releaseStock(pricing.orderItems));
+
+      if (pricing.coupon) {
+        await redeemCoupon(pricing.coupon, req.user._id);
+        rollbacks.push(() => releaseCoupon(pricing.coupon._id, req.user._id));
+      }
+
+      if (storeCreditApplied > 0) {
+        await debitCredit({
+          user: req.user._id,
+          amount: storeCreditApplied,
+          reason: `Payment for order ${order._id}`,
+          order: order._id,
+        });
+        rollbacks.push(() => grantCredit({
+          user: req.user._id,
+          amount: storeCreditApplied,
+          reason: `Reversal of payment for order ${order._id}`,
+          order: order._id,
+        }));
+      }
+
+      createdOrder = await order.save();
+    } catch (error) {
+      for (const rollback of rollbacks.reverse()) {
+        await rollback();
+      }
+      throw error;
+    }
 
     res.status(201).json(createdOrder);
   } catch (error) {
     console.error('Error creating order:', error);
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
@@ -90,7 +160,7 @@ router.get('/:id', protect, async (req, res) => {
       console.log('Order user:', order.user);
       console.log('Is admin:', req.user.isAdmin);
       
-      // Check if the order belongs to the current user (unless admin)
+      // Check if the order belongs to the current user (unless staff who can read orders)
       // Handle case where populate might fail and user is null
       if (!order.user) {
         console.log('Warning: Order user is null after populate');
@@ -100,7 +170,7 @@ router.get('/:id', protect, async (req, res) => {
         });
       }
       
-      if (order.user._id.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      if (order.user._id.toString() !== req.user._id.toString() && !hasPermission(req.user, 'orders:read')) {
         return res.status(403).json({ message: 'Not authorized to view this order' });
       }
       res.json(order);
@@ -123,90 +193,79 @@ router.get('/:id', protect, async (req, res) => {
 
 // @desc    Update order to paid
 // @route   PUT /api/orders/:id/pay
-// @access  Private
-router.put('/:id/pay', protect, async (req, res) => {
+// @access  Private/Admin
+router.put('/:id/pay', protect, authorize('orders:manage'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-      order.isPaid = true;
-      order.paidAt = Date.now();
-      order.paymentResult = {
+      // Nothing here checks the payment with a provider, so only staff who
+      // have seen the money arrive may record it
+      const updatedOrder = await markOrderPaid(order, {
         id: req.body.id,
         status: req.body.status,
         update_time: req.body.update_time,
-        email_address: req.body.payer.email_address,
-      };
-
-      const updatedOrder = await order.save();
+        email_address: req.body.payer && req.body.payer.email_address,
+      });
 
       res.json(updatedOrder);
     } else {
       res.status(404).json({ message: 'Order not found' });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // @desc    Update order to delivered
 // @route   PUT /api/orders/:id/deliver
 // @access  Private/Admin
-router.put('/:id/deliver', protect, admin, async (req, res) => {
+router.put('/:id/deliver', protect, authorize('orders:manage'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-      order.isDelivered = true;
-      order.deliveredAt = Date.now();
-      order.status = 'delivered';
-
-      const updatedOrder = await order.save();
+      const updatedOrder = await transitionOrder(order, 'delivered', {
+        changedBy: req.user._id,
+        note: req.body.note,
+      });
 
       res.json(updatedOrder);
     } else {
       res.status(404).json({ message: 'Order not found' });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
 // @access  Private/Admin
-router.put('/:id/status', protect, admin, async (req, res) => {
+router.put('/:id/status', protect, authorize('orders:manage'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
     const order = await Order.findById(req.params.id);
 
     if (order) {
-      order.status = status;
-      
-      // Update isDelivered based on status
-      if (status === 'delivered') {
-        order.isDelivered = true;
-        order.deliveredAt = Date.now();
-      } else if (status === 'pending' || status === 'confirmed') {
-        order.isDelivered = false;
-        order.deliveredAt = undefined;
-      }
-
-      const updatedOrder = await order.save();
+      const updatedOrder = await transitionOrder(order, status, {
+        changedBy: req.user._id,
+        note,
+      });
 
       res.json(updatedOrder);
     } else {
       res.status(404).json({ message: 'Order not found' });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // @desc    Get all orders
 // @route   GET /api/orders
 // @access  Private/Admin
-router.get('/', protect, admin, async (req, res) => {
+router.get('/', protect, authorize('orders:read'), async (req, res) => {
   try {
     const orders = await Order.find({})
       .populate('user', 'id name')
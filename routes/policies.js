@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Policy = require('../models/Policy');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 // Get policies
 router.get('/', async (req, res) => {
@@ -156,7 +156,7 @@ Tamil Nadu, India</p>
 });
 
 // Update policies (admin only)
-router.put('/', protect, async (req, res) => {
+router.put('/', protect, authorize('policies:write'), async (req, res) => {
   try {
     const { shippingPolicy, refundPolicy, termsAndConditions, privacyPolicy } = req.body;
     let policy = await Policy.findOne();
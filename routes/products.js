@@ -3,163 +3,36 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const { protect, admin } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { itemReviewRoutes } = require('./reviews');
+const { searchCatalog } = require('../utils/search');
+const { stockSnapshot, notifyRestocked } = require('../utils/stockAlerts');
+const { httpError, sendError } = require('../utils/httpError');
+
+// Multipart forms send nested objects as JSON strings
+const parseJsonField = (value, field) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw httpError(400, `${field} must be valid JSON`);
+  }
+};
 
 // @desc    Fetch all products
 // @route   GET /api/products
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const pageSize = 10;
-    const page = Number(req.query.pageNumber) || 1;
-
-    let matchConditions = {};
-
-    if (req.query.keyword) {
-      // Use aggregation for keyword search to include category names
-      const aggregationPipeline = [
-        {
-          $lookup: {
-            from: 'categories',
-            localField: 'category',
-            foreignField: '_id',
-            as: 'categoryInfo'
-          }
-        },
-        {
-          $unwind: '$categoryInfo'
-        },
-        {
-          $match: {
-            $or: [
-              { name: { $regex: req.query.keyword, $options: 'i' } },
-              { 'categoryInfo.name': { $regex: req.query.keyword, $options: 'i' } }
-            ]
-          }
-        }
-      ];
-
-      if (req.query.category) {
-        const categories = Array.isArray(req.query.category) ? req.query.category : [req.query.category];
-        const categoryDocs = await Category.find({ name: { $in: categories } }).select('_id');
-        const categoryIds = categoryDocs.map(cat => cat._id);
-        if (categoryIds.length > 0) {
-          aggregationPipeline.push({
-            $match: { category: { $in: categoryIds } }
-          });
-        }
-      }
-
-      if (req.query.minPrice || req.query.maxPrice) {
-        let priceMatch = {};
-        if (req.query.minPrice) {
-          priceMatch.$gte = Number(req.query.minPrice);
-        }
-        if (req.query.maxPrice) {
-          priceMatch.$lte = Number(req.query.maxPrice);
-        }
-        aggregationPipeline.push({
-          $match: { price: priceMatch }
-        });
-      }
-
-      let sortOption = {};
-      const sortBy = req.query.sortBy || 'popularity';
-
-      switch (sortBy) {
-        case 'rating':
-          sortOption = { rating: -1 };
-          break;
-        case 'date':
-          sortOption = { createdAt: -1 };
-          break;
-        case 'popularity':
-        default:
-          sortOption = { numReviews: -1 };
-          break;
-      }
-
-      aggregationPipeline.push(
-        { $sort: sortOption },
-        { $skip: pageSize * (page - 1) },
-        { $limit: pageSize },
-        {
-          $project: {
-            _id: 1,
-            name: 1,
-            price: 1,
-            description: 1,
-            image: 1,
-            category: '$categoryInfo',
-            stock: 1,
-            numReviews: 1,
-            rating: 1,
-            createdAt: 1
-          }
-        }
-      );
-
-      const countPipeline = [
-        ...aggregationPipeline.slice(0, -3), // Remove sort, skip, limit, project
-        { $count: "total" }
-      ];
-
-      const [productsResult, countResult] = await Promise.all([
-        Product.aggregate(aggregationPipeline),
-        Product.aggregate(countPipeline)
-      ]);
-
-      const totalCount = countResult[0]?.total || 0;
-      const products = productsResult;
-
-      res.json({ products, page, pages: Math.ceil(totalCount / pageSize) });
-    } else {
-      // No keyword, use regular query
-      if (req.query.category) {
-        const categories = Array.isArray(req.query.category) ? req.query.category : [req.query.category];
-        const categoryDocs = await Category.find({ name: { $in: categories } }).select('_id');
-        const categoryIds = categoryDocs.map(cat => cat._id);
-        if (categoryIds.length > 0) {
-          matchConditions.category = { $in: categoryIds };
-        }
-      }
-
-      if (req.query.minPrice || req.query.maxPrice) {
-        matchConditions.price = {};
-        if (req.query.minPrice) {
-          matchConditions.price.$gte = Number(req.query.minPrice);
-        }
-        if (req.query.maxPrice) {
-          matchConditions.price.$lte = Number(req.query.maxPrice);
-        }
-      }
-
-      let sortOption = {};
-      const sortBy = req.query.sortBy || 'popularity';
-
-      switch (sortBy) {
-        case 'rating':
-          sortOption = { rating: -1 };
-          break;
-        case 'date':
-          sortOption = { createdAt: -1 };
-          break;
-        case 'popularity':
-        default:
-          sortOption = { numReviews: -1 };
-          break;
-      }
-
-      const count = await Product.countDocuments(matchConditions);
-      const products = await Product.find(matchConditions)
-        .populate('category', 'name')
-        .sort(sortOption)
-        .limit(pageSize)
-        .skip(pageSize * (page - 1));
+    const { results, page, pages, total, facets } = await searchCatalog({
+      ...req.query,
+      types: 'Product',
+    });
 
-      res.json({ products, page, pages: Math.ceil(count / pageSize) });
-    }
+    res.json({ products: results, page, pages, total, facets });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -226,7 +99,7 @@ router.get('/:id', async (req, res) => {
 // @desc    Delete a product
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+router.delete('/:id', protect, authorize('catalog:write'), async (req, res) => {
   try {
     const product = await Product.findByIdAndDelete(req.params.id);
 
@@ -243,9 +116,20 @@ router.delete('/:id', protect, admin, async (req, res) => {
 // @desc    Create a product
 // @route   POST /api/products
 // @access  Private/Admin
-router.post('/', protect, admin, upload.array('images', 5), async (req, res) => {
+router.post('/', protect, authorize('catalog:write'), upload.array('images', 5), async (req, res) => {
   try {
-    const { name, price, description, category, stock, additionalInfo } = req.body;
+    const {
+      name,
+      scientificName,
+      price,
+      description,
+      category,
+      stock,
+      additionalInfo,
+      hsnCode,
+      gstRate,
+      livestock,
+    } = req.body;
 
     // Check if files were uploaded
     if (!req.files || req.files.length === 0) {
@@ -276,12 +160,16 @@ router.post('/', protect, admin, upload.array('images', 5), async (req, res) =>
 
     const product = new Product({
       name,
+      scientificName: scientificName || '',
       price,
       description,
       images: imagePaths,
       category: categoryDoc._id,
       stock,
       additionalInfo: additionalInfo || '',
+      hsnCode,
+      gstRate,
+      livestock: parseJsonField(livestock, 'livestock'),
       numReviews: 0,
       rating: 0,
     });
@@ -296,26 +184,44 @@ router.post('/', protect, admin, upload.array('images', 5), async (req, res) =>
 // @desc    Update a product
 // @route   PUT /api/products/:id
 // @access  Private/Admin
-router.put('/:id', protect, admin, upload.array('images', 5), async (req, res) => {
+router.put('/:id', protect, authorize('catalog:write'), upload.array('images', 5), async (req, res) => {
   try {
     const {
       name,
+      scientificName,
       price,
       description,
       category,
       stock,
       additionalInfo,
+      hsnCode,
+      gstRate,
+      livestock,
     } = req.body;
 
     const product = await Product.findById(req.params.id);
 
     if (product) {
+      const stockBefore = await stockSnapshot('Product', product);
+
       product.name = name;
       product.price = price;
       product.description = description;
       product.category = category;
       product.stock = stock;
       product.additionalInfo = additionalInfo || '';
+      if (scientificName !== undefined) {
+        product.scientificName = scientificName;
+      }
+      if (hsnCode !== undefined) {
+        product.hsnCode = hsnCode;
+      }
+      if (gstRate !== undefined) {
+        product.gstRate = gstRate;
+      }
+      if (livestock !== undefined) {
+        product.livestock = parseJsonField(livestock, 'livestock');
+      }
 
       // If new images were uploaded, update the images array
       if (req.files && req.files.length > 0) {
@@ -324,59 +230,101 @@ router.put('/:id', protect, admin, upload.array('images', 5), async (req, res) =
       }
 
       const updatedProduct = await product.save();
+      notifyRestocked('Product', updatedProduct, stockBefore);
       res.json(updatedProduct);
     } else {
       res.status(404).json({ message: 'Product not found' });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
-// @desc    Create new review
-// @route   POST /api/products/:id/reviews
-// @access  Private
-router.post('/:id/reviews', async (req, res) => {
-  try {
-    const { rating, comment } = req.body;
+const VARIANT_FIELDS = ['sku', 'size', 'grade', 'packType', 'price', 'stock'];
 
+// @desc    Add a variant to a product
+// @route   POST /api/products/:id/variants
+// @access  Private/Admin
+router.post('/:id/variants', protect, authorize('catalog:write'), upload.array('images', 5), async (req, res) => {
+  try {
     const product = await Product.findById(req.params.id);
 
-    if (product) {
-      const alreadyReviewed = product.reviews.find(
-        (r) => r.user.toString() === req.user._id.toString()
-      );
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
 
-      if (alreadyReviewed) {
-        res.status(400).json({ message: 'Product already reviewed' });
-        return;
+    const variant = {
+      images: (req.files || []).map(file => `/uploads/${file.filename}`),
+    };
+    VARIANT_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        variant[field] = req.body[field];
       }
+    });
+
+    product.variants.push(variant);
+    const updatedProduct = await product.save();
+    res.status(201).json(updatedProduct);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Update a product variant
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private/Admin
+router.put('/:id/variants/:variantId', protect, authorize('catalog:write'), upload.array('images', 5), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
 
-      const review = {
-        name: req.user.name,
-        rating: Number(rating),
-        comment,
-        user: req.user._id,
-      };
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
 
-      product.reviews.push(review);
+    const stockBefore = await stockSnapshot('Product', product);
 
-      product.numReviews = product.reviews.length;
+    VARIANT_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        variant[field] = req.body[field];
+      }
+    });
 
-      product.rating =
-        product.reviews.reduce((acc, item) => item.rating + acc, 0) /
-        product.reviews.length;
+    if (req.files && req.files.length > 0) {
+      variant.images = req.files.map(file => `/uploads/${file.filename}`);
+    }
 
-      await product.save();
-      res.status(201).json({ message: 'Review added' });
-    } else {
-      res.status(404).json({ message: 'Product not found' });
+    const updatedProduct = await product.save();
+    notifyRestocked('Product', updatedProduct, stockBefore);
+    res.json(updatedProduct);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Delete a product variant
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private/Admin
+router.delete('/:id/variants/:variantId', protect, authorize('catalog:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
     }
+
+    variant.deleteOne();
+    const updatedProduct = await product.save();
+    res.json(updatedProduct);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Reviews
+router.use('/:id/reviews', itemReviewRoutes('Product'));
+
 // @desc    Get top rated products
 // @route   GET /api/products/top
 // @access  Public
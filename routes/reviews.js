@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const Review = require('../models/Review');
+const { protect, authorize } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { CATALOG_MODELS } = require('../utils/catalog');
+const { hasPurchased, updateItemRating } = require('../utils/reviews');
+
+// Review routes for one catalog, mounted at /api/<catalog>/:id/reviews
+const itemReviewRoutes = (itemType) => {
+  const itemRouter = express.Router({ mergeParams: true });
+  const Model = CATALOG_MODELS[itemType];
+
+  // @desc    Fetch approved reviews for an item
+  // @route   GET /api/<catalog>/:id/reviews
+  // @access  Public
+  itemRouter.get('/', async (req, res) => {
+    try {
+      const reviews = await Review.find({
+        itemType,
+        item: req.params.id,
+        status: 'approved',
+      }).sort({ createdAt: -1 });
+      res.json(reviews);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // @desc    Create new review
+  // @route   POST /api/<catalog>/:id/reviews
+  // @access  Private
+  itemRouter.post('/', protect, upload.discardUploadsOnError, upload.array('photos', 5), upload.uploadErrorHandler, async (req, res) => {
+    try {
+      const { rating, comment } = req.body;
+
+      const item = await Model.findById(req.params.id);
+
+      if (!item) {
+        res.status(404).json({ message: 'Product not found' });
+        return;
+      }
+
+      const alreadyReviewed = await Review.exists({
+        itemType,
+        item: item._id,
+        user: req.user._id,
+      });
+
+      if (alreadyReviewed) {
+        res.status(400).json({ message: 'Product already reviewed' });
+        return;
+      }
+
+      const review = await Review.create({
+        itemType,
+        item: item._id,
+        user: req.user._id,
+        name: req.user.name,
+        rating: Number(rating),
+        comment,
+        photos: (req.files || []).map(file => `/uploads/${file.filename}`),
+        verifiedPurchase: await hasPurchased(req.user._id, itemType, item._id),
+      });
+
+      res.status(201).json({ message: 'Review submitted for moderation', review });
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  return itemRouter;
+};
+
+// @desc    Fetch reviews for moderation, optionally filtered by status
+// @route   GET /api/reviews
+// @access  Private/Admin
+router.get('/', protect, authorize('reviews:moderate'), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const reviews = await Review.find(filter)
+      .populate('item', 'name')
+      .sort({ createdAt: -1 });
+    res.json(reviews);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Approve or hide a review
+// @route   PUT /api/reviews/:id/moderate
+// @access  Private/Admin
+router.put('/:id/moderate', protect, authorize('reviews:moderate'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or hidden' });
+    }
+
+    // Read the previous status in the same update so the rating is adjusted
+    // exactly once for each change
+    const previous = await Review.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: status } },
+      { status, moderatedBy: req.user._id, moderatedAt: new Date() }
+    );
+
+    if (!previous) {
+      const review = await Review.findById(req.params.id);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      return res.json(review);
+    }
+
+    if (status === 'approved') {
+      await updateItemRating(previous, 1);
+    } else if (previous.status === 'approved') {
+      await updateItemRating(previous, -1);
+    }
+
+    const review = await Review.findById(req.params.id);
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
+module.exports.itemReviewRoutes = itemReviewRoutes;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const Synonym = require('../models/Synonym');
+const { protect, authorize } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { searchCatalog } = require('../utils/search');
+const { suggest, invalidateSuggestions } = require('../utils/suggest');
+
+// Suggestions are fetched as the visitor types, so allow a few a second but
+// not a flood
+const suggestLimit = rateLimit({ name: 'suggest', windowMs: 60 * 1000, max: 120 });
+
+// Synonyms may be sent as an array or a comma separated string
+const parseSynonyms = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map((entry) => entry.toString().trim().toLowerCase()).filter(Boolean))];
+};
+
+// @desc    Search products, accessories and setups with facet counts
+// @route   GET /api/search?keyword=&types=&category=&minPrice=&maxPrice=&inStock=&minRating=&sortBy=&pageNumber=
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const result = await searchCatalog(req.query);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Suggest completions for a partly typed query
+// @route   GET /api/search/suggest?q=&limit=
+// @access  Public
+router.get('/suggest', suggestLimit, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 8, 1), 20);
+    const suggestions = await suggest(req.query.q, { limit });
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Fetch all synonym lists
+// @route   GET /api/search/synonyms
+// @access  Private/Admin
+router.get('/synonyms', protect, authorize('catalog:write'), async (req, res) => {
+  try {
+    const synonyms = await Synonym.find({}).sort({ term: 1 });
+    res.json(synonyms);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Create a synonym list
+// @route   POST /api/search/synonyms
+// @access  Private/Admin
+router.post('/synonyms', protect, authorize('catalog:write'), async (req, res) => {
+  try {
+    const { term, synonyms } = req.body;
+
+    const synonym = new Synonym({
+      term,
+      synonyms: synonyms !== undefined ? parseSynonyms(synonyms) : [],
+    });
+
+    const createdSynonym = await synonym.save();
+    invalidateSuggestions();
+    res.status(201).json(createdSynonym);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Update a synonym list
+// @route   PUT /api/search/synonyms/:id
+// @access  Private/Admin
+router.put('/synonyms/:id', protect, authorize('catalog:write'), async (req, res) => {
+  try {
+    const { term, synonyms } = req.body;
+    const synonym = await Synonym.findById(req.params.id);
+
+    if (synonym) {
+      if (term !== undefined) {
+        synonym.term = term;
+      }
+      if (synonyms !== undefined) {
+        synonym.synonyms = parseSynonyms(synonyms);
+      }
+
+      const updatedSynonym = await synonym.save();
+      invalidateSuggestions();
+      res.json(updatedSynonym);
+    } else {
+      res.status(404).json({ message: 'Synonym not found' });
+    }
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Delete a synonym list
+// @route   DELETE /api/search/synonyms/:id
+// @access  Private/Admin
+router.delete('/synonyms/:id', protect, authorize('catalog:write'), async (req, res) => {
+  try {
+    const synonym = await Synonym.findByIdAndDelete(req.params.id);
+
+    if (synonym) {
+      invalidateSuggestions();
+      res.json({ message: 'Synonym removed' });
+    } else {
+      res.status(404).json({ message: 'Synonym not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const ShippingZone = require('../models/ShippingZone');
+const { protect, authorize, cartAccess } = require('../middleware/auth');
+const { toOrderLines, priceDiscountedItems } = require('../utils/pricing');
+const { quoteShipping } = require('../utils/shipping');
+const { lookupPincode } = require('../utils/address');
+const { sendError } = require('../utils/httpError');
+
+// @desc    Quote shipping for a cart, after any coupon as at checkout
+// @route   POST /api/shipping/quote
+// @access  Public (signed-in shoppers' coupon limits are checked too)
+router.post('/quote', cartAccess, async (req, res) => {
+  try {
+    const { items, destination, couponCode } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      res.status(400).json({ message: 'No cart items' });
+      return;
+    }
+
+    const { discountPrice, itemsPrice } = await priceDiscountedItems(toOrderLines(items), {
+      couponCode,
+      userId: req.user && req.user._id,
+    });
+
+    const quote = await quoteShipping({ itemsPrice, destination });
+
+    res.json({ ...quote, discountPrice });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Look up the state and district for a PIN code
+// @route   GET /api/shipping/pincode/:pincode
+// @access  Public
+router.get('/pincode/:pincode', (req, res) => {
+  const pin = lookupPincode(req.params.pincode);
+
+  if (pin) {
+    res.json(pin);
+  } else {
+    res.status(404).json({ message: 'Unknown PIN code' });
+  }
+});
+
+// @desc    Fetch all shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+router.get('/zones', protect, authorize('shipping:manage'), async (req, res) => {
+  try {
+    const zones = await ShippingZone.find({}).sort({ priority: -1, name: 1 });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Create a shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+router.post('/zones', protect, authorize('shipping:manage'), async (req, res) => {
+  try {
+    const {
+      name,
+      states,
+      districts,
+      transportCharge,
+      packagingCharge,
+      minOrderValue,
+      priority,
+      isActive,
+    } = req.body;
+
+    const zone = new ShippingZone({
+      name,
+      states,
+      districts,
+      transportCharge,
+      packagingCharge,
+      minOrderValue,
+      priority,
+      isActive,
+    });
+
+    const createdZone = await zone.save();
+    res.status(201).json(createdZone);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Update a shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private/Admin
+router.put('/zones/:id', protect, authorize('shipping:manage'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (zone) {
+      const fields = [
+        'name',
+        'states',
+        'districts',
+        'transportCharge',
+        'packagingCharge',
+        'minOrderValue',
+        'priority',
+        'isActive',
+      ];
+      fields.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          zone[field] = req.body[field];
+        }
+      });
+
+      const updatedZone = await zone.save();
+      res.json(updatedZone);
+    } else {
+      res.status(404).json({ message: 'Shipping zone not found' });
+    }
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Delete a shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+router.delete('/zones/:id', protect, authorize('shipping:manage'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (zone) {
+      res.json({ message: 'Shipping zone removed' });
+    } else {
+      res.status(404).json({ message: 'Shipping zone not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,130 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const nodemailer = require('nodemailer');
-const { protect, admin } = require('../middleware/auth');
-
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'secret', {
-    expiresIn: '30d',
-  });
+const { protect, authorize } = require('../middleware/auth');
+const { rateLimit, createLockout, tooManyRequests } = require('../middleware/rateLimit');
+const { createTransporter, verifyUnsubscribeToken } = require('../utils/mailer');
+const { mergeGuestCart } = require('../utils/cart');
+const {
+  generateToken,
+  issueTokens,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+} = require('../utils/tokens');
+const { sendError } = require('../utils/httpError');
+const { ROLES, ROLE_PERMISSIONS, roleOf } = require('../utils/permissions');
+const {
+  MAX_CODE_ATTEMPTS,
+  resendWaitSeconds,
+  sendVerificationEmail,
+  verifyEmailCode,
+} = require('../utils/emailVerification');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  isTwoFactorEnabled,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+
+const MINUTE = 60 * 1000;
+
+const normalizeEmail = (email) => (email || '').toString().trim().toLowerCase();
+const emailKey = (req) => normalizeEmail(req.body.email);
+
+// The email is used in queries as sent, so anything but a plain string (e.g.
+// {"$gt": ""}, which would match any account) is refused before a limit or
+// lookup sees it
+const requireEmail = (req, res, next) => {
+  if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+    res.status(400).json({ message: 'Valid email is required' });
+    return;
+  }
+  next();
+};
+
+// Brute-force protection: per-IP limits on every public auth endpoint, a
+// per-account limit on reset emails and a lockout after repeated bad passwords
+const loginLimit = rateLimit({ name: 'login', windowMs: 15 * MINUTE, max: 20 });
+const loginLockout = createLockout({
+  name: 'login',
+  maxFailures: 5,
+  windowMs: 15 * MINUTE,
+  lockMs: 15 * MINUTE,
+});
+const forgotPasswordLimit = rateLimit({ name: 'forgot-password', windowMs: 15 * MINUTE, max: 5 });
+const forgotPasswordAccountLimit = rateLimit({
+  name: 'forgot-password-account',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  key: emailKey,
+  message: 'Too many reset codes requested for this account, please try again later',
+});
+const verifyOtpLimit = rateLimit({ name: 'verify-otp', windowMs: 15 * MINUTE, max: 10 });
+const verifyEmailLimit = rateLimit({ name: 'verify-email', windowMs: 15 * MINUTE, max: 10 });
+
+// Name shown next to the account in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Aquarium Shop';
+
+// Wrong guesses allowed before a reset OTP is thrown away
+const OTP_MAX_ATTEMPTS = 5;
+
+// Reset OTPs are stored hashed, salted with the user id
+const hashOTP = (userId, otp) => crypto.createHash('sha256').update(`${userId}:${otp}`).digest('hex');
+
+// The shop must always keep at least one owner
+const isLastOwner = async (user) => roleOf(user) === 'owner' &&
+  (await User.countDocuments({
+    $or: [{ role: 'owner' }, { role: { $exists: false }, isAdmin: true }],
+  })) <= 1;
+
+// Email a verification code. Signing up or changing email still succeeds if
+// the email cannot be sent; the user can ask for another code.
+const trySendVerificationEmail = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+    return true;
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+    return false;
+  }
+};
+
+// Fold the shopper's guest cart, if they had one, into their own cart.
+// A failed merge never blocks signing in; the guest cart is simply kept.
+const mergeCartOnSignIn = async (req, userId) => {
+  try {
+    return await mergeGuestCart(userId, req.headers['x-cart-token'] || req.body.cartToken);
+  } catch (error) {
+    console.error('Guest cart merge failed:', error);
+    return null;
+  }
 };
 
+// Everything a client needs once a user has fully signed in
+const signInResponse = async (req, user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  isAdmin: user.isAdmin,
+  role: roleOf(user),
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: isTwoFactorEnabled(user),
+  billingAddress: user.billingAddress,
+  shippingAddress: user.shippingAddress,
+  ...(await issueTokens(user._id, req)),
+  cartMerge: await mergeCartOnSignIn(req, user._id),
+});
+
 // @desc    Register a new user
 // @route   POST /api/users
 // @access  Public
-router.post('/', async (req, res) => {
+router.post('/', requireEmail, async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
@@ -39,7 +147,11 @@ router.post('/', async (req, res) => {
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
-        token: generateToken(user._id),
+        role: roleOf(user),
+        emailVerified: user.emailVerified,
+        ...(await issueTokens(user._id, req)),
+        cartMerge: await mergeCartOnSignIn(req, user._id),
+        verificationEmailSent: await trySendVerificationEmail(user),
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -52,23 +164,39 @@ router.post('/', async (req, res) => {
 // @desc    Auth user & get token
 // @route   POST /api/users/login
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, requireEmail, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const accountKey = normalizeEmail(email);
+
+    // Locked accounts are refused before the password is even checked
+    const lockedFor = await loginLockout.lockedFor(accountKey);
+    if (lockedFor > 0) {
+      tooManyRequests(res, lockedFor, 'Too many failed login attempts, please try again later');
+      return;
+    }
 
     const user = await User.findOne({ email });
 
     if (user && (await user.matchPassword(password))) {
-      res.json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        isAdmin: user.isAdmin,
-        billingAddress: user.billingAddress,
-        shippingAddress: user.shippingAddress,
-        token: generateToken(user._id),
-      });
+      // With 2FA on, the password only earns a short-lived token for the
+      // second step; failures there still count towards the lockout
+      if (isTwoFactorEnabled(user)) {
+        res.json({
+          twoFactorRequired: true,
+          twoFactorToken: signTwoFactorToken(user._id),
+        });
+        return;
+      }
+
+      await loginLockout.succeed(accountKey);
+      res.json(await signInResponse(req, user));
     } else {
+      const locked = await loginLockout.fail(accountKey);
+      if (locked > 0) {
+        tooManyRequests(res, locked, 'Too many failed login attempts, please try again later');
+        return;
+      }
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
@@ -76,6 +204,310 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @desc    Finish signing in with an authenticator or recovery code
+// @route   POST /api/users/login/2fa
+// @access  Public (needs the twoFactorToken from /login)
+router.post('/login/2fa', loginLimit, async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorToken(twoFactorToken);
+    const user = userId ? await User.findById(userId).select(TWO_FACTOR_FIELDS) : null;
+
+    if (!user || !isTwoFactorEnabled(user)) {
+      res.status(401).json({ message: 'Sign-in expired, please log in again' });
+      return;
+    }
+
+    const accountKey = normalizeEmail(user.email);
+    const lockedFor = await loginLockout.lockedFor(accountKey);
+    if (lockedFor > 0) {
+      tooManyRequests(res, lockedFor, 'Too many failed login attempts, please try again later');
+      return;
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      const locked = await loginLockout.fail(accountKey);
+      if (locked > 0) {
+        tooManyRequests(res, locked, 'Too many failed login attempts, please try again later');
+        return;
+      }
+      res.status(401).json({ message: 'Invalid authentication code' });
+      return;
+    }
+
+    await loginLockout.succeed(accountKey);
+    res.json(await signInResponse(req, user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Start 2FA enrolment with a new secret for an authenticator app
+// @route   POST /api/users/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (isTwoFactorEnabled(user)) {
+      res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      return;
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER }),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Confirm 2FA enrolment with a first code and get recovery codes
+// @route   POST /api/users/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (isTwoFactorEnabled(user)) {
+      res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      return;
+    }
+
+    const step = user.twoFactor.pendingSecret
+      ? verifyTotp(user.twoFactor.pendingSecret, req.body.code)
+      : null;
+    if (step === null) {
+      res.status(400).json({ message: 'Invalid authentication code' });
+      return;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!isTwoFactorEnabled(user)) {
+      res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      return;
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      res.status(400).json({ message: 'Invalid authentication code' });
+      return;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Turn 2FA off
+// @route   POST /api/users/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!isTwoFactorEnabled(user)) {
+      res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      return;
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      res.status(400).json({ message: 'Password is incorrect' });
+      return;
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      res.status(400).json({ message: 'Invalid authentication code' });
+      return;
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        'twoFactor.enabled': false,
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+        },
+      }
+    );
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/users/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      role: roleOf(user),
+      emailVerified: user.emailVerified,
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Log out this session by revoking its refresh token
+// @route   POST /api/users/logout
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Log out everywhere by revoking every token the user holds
+// @route   POST /api/users/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeAllTokens(req.user._id);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mark the account verified when the code matches
+const verifyEmail = async (req, res) => {
+  try {
+    const { email, code } = { ...req.query, ...req.body };
+    // Only a plain string may reach the query, never an operator object
+    const address = typeof email === 'string' ? email.trim() : '';
+    const account = address ? await User.findOne({ email: address }).select('emailVerified') : null;
+
+    if (account && account.emailVerified) {
+      res.json({ message: 'Email is already verified', emailVerified: true });
+      return;
+    }
+
+    // Count the attempt before checking it, so parallel guesses all count
+    const user = account && await User.findOneAndUpdate(
+      { _id: account._id, emailVerificationCode: { $exists: true } },
+      { $inc: { emailVerificationAttempts: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      res.status(400).json({ message: 'Invalid or expired verification code' });
+      return;
+    }
+
+    const codeHash = user.emailVerificationCode;
+    const attemptsLeft = MAX_CODE_ATTEMPTS - user.emailVerificationAttempts;
+
+    if (attemptsLeft < 0 || !verifyEmailCode(user, code)) {
+      // Out of guesses: the code is thrown away and a new one must be sent
+      if (attemptsLeft <= 0) {
+        await User.updateOne(
+          { _id: user._id, emailVerificationCode: codeHash },
+          { $unset: { emailVerificationCode: 1, emailVerificationExpires: 1, emailVerificationAttempts: 1 } }
+        );
+      }
+      res.status(400).json({
+        message: 'Invalid or expired verification code',
+        attemptsLeft: Math.max(attemptsLeft, 0),
+      });
+      return;
+    }
+
+    await user.save();
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Verify email with the emailed code
+// @route   POST /api/users/verify-email
+// @access  Public
+router.post('/verify-email', verifyEmailLimit, verifyEmail);
+
+// @desc    Verify email from the link in the email
+// @route   GET /api/users/verify-email?email=&code=
+// @access  Public
+router.get('/verify-email', verifyEmailLimit, verifyEmail);
+
+// @desc    Send a new verification code
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+router.post('/verify-email/resend', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      res.status(400).json({ message: 'Email is already verified' });
+      return;
+    }
+
+    const wait = resendWaitSeconds(user);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      res.status(429).json({ message: `Please wait ${wait} seconds before requesting another code` });
+      return;
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification code sent to your email' });
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+    res.status(500).json({ message: 'Failed to send verification email. Please try again later.' });
+  }
+});
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -89,8 +521,13 @@ router.get('/profile', protect, async (req, res) => {
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
+        role: roleOf(user),
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: isTwoFactorEnabled(user),
         billingAddress: user.billingAddress,
         shippingAddress: user.shippingAddress,
+        addresses: user.addresses,
+        cartReminders: user.cartReminders,
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -100,6 +537,30 @@ router.get('/profile', protect, async (req, res) => {
   }
 });
 
+// @desc    Stop abandoned cart reminder emails from the link in the email
+// @route   GET /api/users/unsubscribe/cart-reminders?token=
+// @access  Public
+router.get('/unsubscribe/cart-reminders', async (req, res) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.query.token, 'cart-reminders');
+
+    if (!userId) {
+      res.status(400).json({ message: 'Invalid unsubscribe link' });
+      return;
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { cartReminders: false });
+
+    if (user) {
+      res.json({ message: 'You will no longer receive cart reminder emails' });
+    } else {
+      res.status(404).json({ message: 'User not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
@@ -108,6 +569,8 @@ router.put('/profile', protect, async (req, res) => {
     const user = await User.findById(req.user._id);
 
     if (user) {
+      const passwordChanged = Boolean(req.body.password);
+
       // If changing password, verify current password
       if (req.body.password) {
         if (!req.body.currentPassword || !(await user.matchPassword(req.body.currentPassword))) {
@@ -117,25 +580,50 @@ router.put('/profile', protect, async (req, res) => {
         user.password = req.body.password;
       }
 
+      if (req.body.email !== undefined && typeof req.body.email !== 'string') {
+        res.status(400).json({ message: 'Valid email is required' });
+        return;
+      }
+
+      // A new address has to be verified again
+      const emailChanged = Boolean(req.body.email) && req.body.email !== user.email;
+
       user.name = req.body.name || user.name;
       user.email = req.body.email || user.email;
+      if (emailChanged) {
+        user.emailVerified = false;
+      }
       if (req.body.billingAddress) {
         user.billingAddress = req.body.billingAddress;
       }
       if (req.body.shippingAddress) {
         user.shippingAddress = req.body.shippingAddress;
       }
+      if (req.body.cartReminders !== undefined) {
+        user.cartReminders = req.body.cartReminders;
+      }
 
       const updatedUser = await user.save();
 
+      // A new password signs out every other session; this one gets fresh tokens
+      let tokens = { token: generateToken(updatedUser._id) };
+      if (passwordChanged) {
+        await revokeAllTokens(updatedUser._id);
+        tokens = await issueTokens(updatedUser._id, req);
+      }
+
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         isAdmin: updatedUser.isAdmin,
+        role: roleOf(updatedUser),
+        emailVerified: updatedUser.emailVerified,
         billingAddress: updatedUser.billingAddress,
         shippingAddress: updatedUser.shippingAddress,
-        token: generateToken(updatedUser._id),
+        cartReminders: updatedUser.cartReminders,
+        ...tokens,
+        ...(emailChanged ? { verificationEmailSent: await trySendVerificationEmail(updatedUser) } : {}),
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -145,10 +633,13 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
+// Address book
+router.use('/addresses', require('./addresses'));
+
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private/Admin
-router.get('/', protect, admin, async (req, res) => {
+router.get('/', protect, authorize('users:read'), async (req, res) => {
   try {
     const users = await User.find({}).select('-password');
     res.json(users);
@@ -160,19 +651,33 @@ router.get('/', protect, admin, async (req, res) => {
 // @desc    Update user to admin
 // @route   PUT /api/users/:id
 // @access  Private/Admin
-router.put('/:id', protect, admin, async (req, res) => {
+router.put('/:id', protect, authorize('users:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
     if (user) {
+      const adminChanged = req.body.isAdmin !== undefined && Boolean(req.body.isAdmin) !== user.isAdmin;
+
+      if (adminChanged && !req.body.isAdmin && (await isLastOwner(user))) {
+        res.status(400).json({ message: 'The last owner cannot be removed' });
+        return;
+      }
+
       user.isAdmin = req.body.isAdmin;
       const updatedUser = await user.save();
 
+      // Tokens issued under the old role must not keep working
+      if (adminChanged) {
+        await revokeAllTokens(updatedUser._id);
+      }
+
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         isAdmin: updatedUser.isAdmin,
+        role: roleOf(updatedUser),
+        emailVerified: updatedUser.emailVerified,
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -182,37 +687,68 @@ router.put('/:id', protect, admin, async (req, res) => {
   }
 });
 
-// Create email transporter
-const createTransporter = () => {
+// @desc    List staff roles and what each may do
+// @route   GET /api/users/roles
+// @access  Private/Admin
+router.get('/roles', protect, authorize('users:read'), async (req, res) => {
+  res.json(ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+router.put('/:id/role', protect, authorize('users:manage'), async (req, res) => {
   try {
-    // Only create transporter if email credentials are available
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-      throw new Error('Email credentials not configured');
-    }
-    return nodemailer.createTransport({
-      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-      port: process.env.EMAIL_PORT || 587,
-      secure: false, // true for 465, false for other ports
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+      return;
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (user) {
+      const previousRole = roleOf(user);
+
+      if (previousRole === 'owner' && role !== 'owner' && (await isLastOwner(user))) {
+        res.status(400).json({ message: 'The last owner cannot be removed' });
+        return;
+      }
+
+      user.role = role;
+      const updatedUser = await user.save();
+
+      // Tokens issued under the old role must not keep working
+      if (previousRole !== role) {
+        await revokeAllTokens(updatedUser._id);
+      }
+
+      res.json({
+        _id: updatedUser._id,
+        name: updatedUser.name,
+        email: updatedUser.email,
+        isAdmin: updatedUser.isAdmin,
+        role: roleOf(updatedUser),
+        emailVerified: updatedUser.emailVerified,
+      });
+    } else {
+      res.status(404).json({ message: 'User not found' });
+    }
   } catch (error) {
-    console.error('Failed to create email transporter:', error);
-    throw new Error('Email configuration error');
+    res.status(500).json({ message: error.message });
   }
-};
+});
 
 // Generate OTP
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 // @desc    Send forgot password OTP
 // @route   POST /api/users/forgot-password
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', forgotPasswordLimit, requireEmail, forgotPasswordAccountLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -233,9 +769,10 @@ router.post('/forgot-password', async (req, res) => {
     const otp = generateOTP();
     const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
 
-    // Save OTP to user
-    user.resetPasswordOTP = otp;
+    // Save a hash of the OTP to the user; any earlier OTP stops working
+    user.resetPasswordOTP = hashOTP(user._id, otp);
     user.resetPasswordOTPExpires = otpExpires;
+    user.resetPasswordOTPAttempts = 0;
     await user.save();
 
     // Send OTP email
@@ -285,27 +822,61 @@ router.post('/forgot-password', async (req, res) => {
 // @desc    Verify OTP and reset password
 // @route   POST /api/users/verify-otp
 // @access  Public
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', verifyOtpLimit, requireEmail, async (req, res) => {
   try {
     const { email, otp, newPassword } = req.body;
 
-    const user = await User.findOne({
-      email,
-      resetPasswordOTP: otp,
-      resetPasswordOTPExpires: { $gt: Date.now() },
-    });
+    // Count the attempt before checking it, so parallel guesses all count
+    const user = await User.findOneAndUpdate(
+      {
+        email,
+        resetPasswordOTP: { $exists: true },
+        resetPasswordOTPExpires: { $gt: Date.now() },
+      },
+      { $inc: { resetPasswordOTPAttempts: 1 } },
+      { new: true }
+    );
 
     if (!user) {
       res.status(400).json({ message: 'Invalid or expired OTP' });
       return;
     }
 
+    const otpHash = user.resetPasswordOTP;
+    const attemptsLeft = OTP_MAX_ATTEMPTS - user.resetPasswordOTPAttempts;
+
+    if (attemptsLeft < 0 || !otp || hashOTP(user._id, otp.toString().trim()) !== otpHash) {
+      // Out of guesses: the OTP is thrown away and a new one must be requested
+      if (attemptsLeft <= 0) {
+        await User.updateOne(
+          { _id: user._id, resetPasswordOTP: otpHash },
+          { $unset: { resetPasswordOTP: 1, resetPasswordOTPExpires: 1, resetPasswordOTPAttempts: 1 } }
+        );
+      }
+      res.status(400).json({ message: 'Invalid or expired OTP', attemptsLeft: Math.max(attemptsLeft, 0) });
+      return;
+    }
+
+    // Use the OTP up; if two requests race only one gets to reset the password
+    const claimed = await User.updateOne(
+      { _id: user._id, resetPasswordOTP: otpHash },
+      { $unset: { resetPasswordOTP: 1, resetPasswordOTPExpires: 1, resetPasswordOTPAttempts: 1 } }
+    );
+    if (claimed.modifiedCount === 0) {
+      res.status(400).json({ message: 'Invalid or expired OTP' });
+      return;
+    }
+
     // Update password
     user.password = newPassword;
     user.resetPasswordOTP = undefined;
     user.resetPasswordOTPExpires = undefined;
+    user.resetPasswordOTPAttempts = undefined;
     await user.save();
 
+    // Whoever knew the old password is signed out
+    await revokeAllTokens(user._id);
+
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
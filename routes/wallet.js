@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { getWallet, grantCredit, debitCredit } = require('../utils/wallet');
+const { sendError } = require('../utils/httpError');
+
+// @desc    Get logged in user's store credit balance and history
+// @route   GET /api/wallet
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const wallet = await getWallet(req.user._id);
+    res.json(wallet);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Get a user's store credit balance and history
+// @route   GET /api/wallet/:userId
+// @access  Private/Admin
+router.get('/:userId', protect, authorize('wallet:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wallet = await getWallet(user._id);
+    res.json(wallet);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Grant store credit to a user
+// @route   POST /api/wallet/:userId/credit
+// @access  Private/Admin
+router.post('/:userId/credit', protect, authorize('wallet:adjust'), async (req, res) => {
+  try {
+    const { amount, reason, expiresAt, order } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const transaction = await grantCredit({
+      user: user._id,
+      amount,
+      reason,
+      order,
+      expiresAt,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json(transaction);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Revoke store credit from a user
+// @route   POST /api/wallet/:userId/debit
+// @access  Private/Admin
+router.post('/:userId/debit', protect, authorize('wallet:adjust'), async (req, res) => {
+  try {
+    const { amount, reason, order } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const transaction = await debitCredit({
+      user: user._id,
+      amount,
+      reason,
+      order,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json(transaction);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
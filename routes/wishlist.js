@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const Wishlist = require('../models/Wishlist');
+const StockSubscription = require('../models/StockSubscription');
+const { protect } = require('../middleware/auth');
+const { findCatalogItem } = require('../utils/catalog');
+const { currentStock } = require('../utils/stockAlerts');
+const { httpError, sendError } = require('../utils/httpError');
+
+// A wishlist entry is one item, or one variant of a product
+const isSameEntry = (entry, itemId, variantId) =>
+  entry.item.toString() === itemId.toString() &&
+  (entry.variant ? entry.variant.toString() : '') === (variantId ? variantId.toString() : '');
+
+// Look up the item a request refers to and check the variant belongs to it
+const findWishedItem = async ({ productId, itemType, variantId }) => {
+  const found = await findCatalogItem(productId, itemType);
+  if (!found) {
+    throw httpError(404, 'Product not found');
+  }
+
+  const variant = variantId && found.doc.variants ? found.doc.variants.id(variantId) : null;
+  if (variantId && !variant) {
+    throw httpError(404, 'Variant not found');
+  }
+
+  return { ...found, variant };
+};
+
+// @desc    Get user's wishlist
+// @route   GET /api/wishlist
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id }).populate('items.item');
+    if (wishlist) {
+      res.json(wishlist);
+    } else {
+      res.json({ items: [] });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Add item to wishlist
+// @route   POST /api/wishlist
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { itemType, doc, variant } = await findWishedItem(req.body);
+
+    let wishlist = await Wishlist.findOne({ user: req.user._id });
+    if (!wishlist) {
+      wishlist = new Wishlist({ user: req.user._id, items: [] });
+    }
+
+    const variantId = variant ? variant._id : undefined;
+    if (!wishlist.items.some((entry) => isSameEntry(entry, doc._id, variantId))) {
+      wishlist.items.push({ itemType, item: doc._id, variant: variantId });
+    }
+
+    await wishlist.save();
+    await wishlist.populate('items.item');
+    res.json(wishlist);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Remove item from wishlist
+// @route   DELETE /api/wishlist/:itemId?variant=
+// @access  Private
+router.delete('/:itemId', protect, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    wishlist.items = wishlist.items.filter(
+      (entry) => !isSameEntry(entry, req.params.itemId, req.query.variant)
+    );
+
+    await wishlist.save();
+    await wishlist.populate('items.item');
+    res.json(wishlist);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Get user's back in stock alerts
+// @route   GET /api/wishlist/alerts
+// @access  Private
+router.get('/alerts', protect, async (req, res) => {
+  try {
+    const subscriptions = await StockSubscription.find({ user: req.user._id, status: 'active' })
+      .populate('item', 'name image images price stock')
+      .sort({ createdAt: -1 });
+    res.json(subscriptions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Ask to be emailed when an item is back in stock
+// @route   POST /api/wishlist/alerts
+// @access  Private
+router.post('/alerts', protect, async (req, res) => {
+  try {
+    const { itemType, doc, variant } = await findWishedItem(req.body);
+
+    const stock = variant ? variant.stock : await currentStock(itemType, doc);
+    if (stock > 0) {
+      return res.status(400).json({ message: `${doc.name} is already in stock` });
+    }
+
+    const filter = {
+      user: req.user._id,
+      itemType,
+      item: doc._id,
+      variant: variant ? variant._id : null,
+      status: 'active',
+    };
+
+    let subscription = await StockSubscription.findOne(filter);
+    if (!subscription) {
+      subscription = await StockSubscription.create(filter);
+    }
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Cancel a back in stock alert
+// @route   DELETE /api/wishlist/alerts/:id
+// @access  Private
+router.delete('/alerts/:id', protect, async (req, res) => {
+  try {
+    const subscription = await StockSubscription.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (subscription) {
+      res.json({ message: 'Alert removed' });
+    } else {
+      res.status(404).json({ message: 'Alert not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -6,9 +6,32 @@ const path = require('path');
 
 dotenv.config();
 
+const { startAbandonedCartJob } = require('./jobs/abandonedCarts');
+const { runMigrations } = require('./utils/migrations');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, trust it for the client IP that rate limits use.
+// TRUST_PROXY is either the number of proxies in front of the app (e.g. 1)
+// or a comma-separated list of their addresses or subnets (e.g.
+// loopback,10.0.0.0/8). "true" is refused: it would believe whatever
+// X-Forwarded-For a client sends, so anyone could pick the IP their rate
+// limits are counted against.
+const trustProxy = (process.env.TRUST_PROXY || '').trim();
+if (/^\d+$/.test(trustProxy)) {
+  app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy === 'true') {
+  console.warn('TRUST_PROXY=true is unsafe and was ignored; set the number of proxies or their addresses instead');
+} else if (trustProxy && trustProxy !== 'false') {
+  try {
+    app.set('trust proxy', trustProxy.split(',').map((entry) => entry.trim()).filter(Boolean));
+  } catch (error) {
+    app.set('trust proxy', false);
+    console.warn(`TRUST_PROXY was ignored: ${error.message}`);
+  }
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -21,7 +44,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/aquarium-
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected'))
+.then(async () => {
+  console.log('MongoDB connected');
+  const applied = await runMigrations();
+  if (applied.length > 0) {
+    console.log(`Applied migrations: ${applied.join(', ')}`);
+  }
+  startAbandonedCartJob();
+})
 .catch(err => console.log(err));
 
 // Routes
@@ -53,6 +83,27 @@ app.use('/api/policies', require('./routes/policies'));
 // Cart routes
 app.use('/api/cart', require('./routes/cart'));
 
+// DOA claim routes
+app.use('/api/doa-claims', require('./routes/doaClaims'));
+
+// Store credit routes
+app.use('/api/wallet', require('./routes/wallet'));
+
+// Catalog search routes
+app.use('/api/search', require('./routes/search'));
+
+// Review moderation routes
+app.use('/api/reviews', require('./routes/reviews'));
+
+// Coupon routes
+app.use('/api/coupons', require('./routes/coupons'));
+
+// Shipping routes
+app.use('/api/shipping', require('./routes/shipping'));
+
+// Wishlist and back in stock alert routes
+app.use('/api/wishlist', require('./routes/wishlist'));
+
 // Contact routes
 app.use('/api/contact', require('./routes/contact'));
 
@@ -0,0 +1,160 @@
+const pincodes = require('../data/pincodes.json');
+const { httpError } = require('./httpError');
+const { normalize, findName } = require('./text');
+
+// Six digits, never starting with 0. The 9 series belongs to the Army
+// Postal Service, which we cannot deliver to.
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+
+const clean = (value) => (value === undefined || value === null ? '' : value.toString().trim());
+
+// States a PIN code can belong to. Prefixes shared by two states are listed
+// again as a narrower range, and the narrowest matching range wins.
+const statesForPrefix = (prefix) => {
+  let best = null;
+  for (const range of pincodes.states) {
+    if (prefix >= range.from && prefix <= range.to &&
+        (!best || range.to - range.from < best.to - best.from)) {
+      best = range;
+    }
+  }
+  return best ? best.states : [];
+};
+
+// What the bundled dataset knows about a PIN code, or null when it is not a
+// PIN we can deliver to. Districts are only known for some prefixes, and
+// then list every district the prefix reaches.
+const lookupPincode = (pincode) => {
+  const value = clean(pincode).replace(/\s+/g, '');
+  if (!PINCODE_PATTERN.test(value) || value.startsWith('9')) {
+    return null;
+  }
+
+  const prefix = value.slice(0, 3);
+  const states = statesForPrefix(prefix);
+  if (states.length === 0) {
+    return null;
+  }
+
+  const districts = states.flatMap((state) => (pincodes.districts[state] || {})[prefix] || []);
+  return { pincode: value, states, districts };
+};
+
+// Indian mobile numbers, with or without +91 or a leading 0
+const normalizePhone = (phone) => {
+  const digits = clean(phone).replace(/[\s()-]/g, '').replace(/^(\+91|0091|91(?=\d{10}$)|0)/, '');
+  return MOBILE_PATTERN.test(digits) ? digits : null;
+};
+
+const invalid = (field, message) => httpError(400, message, { field });
+
+// Check an address against its PIN code and return it in the address book's
+// shape. Accepts the older field names (address/street, postalCode/zip) used
+// by orders and profiles. State and district are filled in from the PIN when
+// it only allows one, and must otherwise be one the PIN allows.
+const validateAddress = (input = {}) => {
+  const name = clean(input.name);
+  const line1 = clean(input.line1 || input.address || input.street);
+  const city = clean(input.city);
+  const country = clean(input.country);
+
+  if (!name) {
+    throw invalid('name', 'Recipient name is required');
+  }
+  if (!line1) {
+    throw invalid('line1', 'Address line is required');
+  }
+  if (!city) {
+    throw invalid('city', 'City is required');
+  }
+  if (country && normalize(country) !== 'india') {
+    throw invalid('country', 'We only ship within India');
+  }
+
+  const phone = normalizePhone(input.phone);
+  if (!phone) {
+    throw invalid('phone', 'A valid 10-digit Indian mobile number is required');
+  }
+
+  const pin = lookupPincode(input.pincode || input.postalCode || input.zip);
+  if (!pin) {
+    throw invalid('pincode', 'A valid 6-digit Indian PIN code is required');
+  }
+
+  let state = clean(input.state);
+  if (state) {
+    state = findName(pin.states, state);
+    if (!state) {
+      throw httpError(400, `PIN code ${pin.pincode} is not in ${clean(input.state)}`, {
+        field: 'state',
+        states: pin.states,
+      });
+    }
+  } else if (pin.states.length === 1) {
+    [state] = pin.states;
+  } else {
+    throw httpError(400, `Please choose the state for PIN code ${pin.pincode}`, {
+      field: 'state',
+      states: pin.states,
+    });
+  }
+
+  // Only check the district where the dataset lists them for this PIN. As
+  // in shipping, a city that names one of them stands in for the district.
+  let district = clean(input.district);
+  const districts = ((pincodes.districts[state] || {})[pin.pincode.slice(0, 3)]) || [];
+  if (!district && findName(districts, city)) {
+    district = findName(districts, city);
+  }
+  if (districts.length > 0) {
+    if (district) {
+      district = findName(districts, district);
+      if (!district) {
+        throw httpError(400, `PIN code ${pin.pincode} is not in ${clean(input.district)} district`, {
+          field: 'district',
+          districts,
+        });
+      }
+    } else if (districts.length === 1) {
+      [district] = districts;
+    } else {
+      throw httpError(400, `Please choose the district for PIN code ${pin.pincode}`, {
+        field: 'district',
+        districts,
+      });
+    }
+  }
+
+  return {
+    label: clean(input.label),
+    name,
+    phone,
+    line1,
+    line2: clean(input.line2),
+    city,
+    district,
+    state,
+    pincode: pin.pincode,
+  };
+};
+
+// The snapshot of a validated address stored on an order
+const toOrderShippingAddress = (address) => ({
+  name: address.name,
+  phone: address.phone,
+  address: address.line1,
+  line2: address.line2,
+  city: address.city,
+  district: address.district,
+  state: address.state,
+  postalCode: address.pincode,
+  country: 'India',
+});
+
+module.exports = {
+  lookupPincode,
+  normalizePhone,
+  validateAddress,
+  toOrderShippingAddress,
+};
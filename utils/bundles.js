@@ -0,0 +1,120 @@
+const { CATALOG_MODELS, findVariant, describeCatalogItem } = require('./catalog');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./money');
+
+const sameId = (a, b) => (a ? a.toString() : '') === (b ? b.toString() : '');
+
+// Pick what goes into the box for one component. `selection` is the
+// customer's choice for it: nothing (take the default), { omit: true } for
+// optional components, or { item, variant } naming one of the alternatives.
+const chooseComponentItem = (setup, component, selection) => {
+  if (!selection) {
+    return component;
+  }
+
+  if (selection.omit) {
+    if (!component.optional) {
+      throw httpError(400, `${component.label || 'This component'} cannot be left out of ${setup.name}`);
+    }
+    return null;
+  }
+
+  if (!selection.item || (sameId(selection.item, component.item) && sameId(selection.variant, component.variant))) {
+    return component;
+  }
+
+  const alternative = component.alternatives.find((choice) =>
+    sameId(choice.item, selection.item) && sameId(choice.variant, selection.variant)
+  );
+  if (!alternative) {
+    throw httpError(400, `That swap is not offered for ${component.label || 'this component'} of ${setup.name}`);
+  }
+  return alternative;
+};
+
+// A configuration must be a list of objects; anything else is the client's
+// mistake, not ours
+const checkConfiguration = (configuration) => {
+  if (configuration === undefined || configuration === null) {
+    return [];
+  }
+  if (!Array.isArray(configuration) ||
+      !configuration.every((entry) => entry && typeof entry === 'object' && !Array.isArray(entry))) {
+    throw httpError(400, 'Configuration must be a list of { component, omit, item, variant } entries');
+  }
+  return configuration;
+};
+
+// Work out a setup's contents, price and availability from its bill of
+// materials and the customer's configuration (a list of
+// { component, omit, item, variant } entries keyed by component _id).
+// Setups without components keep their own flat price and stock.
+const resolveBundle = async (setup, configuration) => {
+  const selections = checkConfiguration(configuration);
+  if (!setup.components || setup.components.length === 0) {
+    return {
+      components: [],
+      componentTotal: roundMoney(setup.price),
+      price: roundMoney(setup.price),
+      availableStock: setup.stock,
+    };
+  }
+
+  const components = [];
+  for (const component of setup.components) {
+    const selection = selections.find((entry) => sameId(entry.component, component._id));
+    const choice = chooseComponentItem(setup, component, selection);
+    if (!choice) {
+      continue;
+    }
+
+    const doc = await CATALOG_MODELS[choice.itemType].findById(choice.item);
+    if (!doc) {
+      throw httpError(400, `${component.label || 'A component'} of ${setup.name} is no longer available`);
+    }
+
+    const variant = findVariant(doc, choice.variant);
+    const details = describeCatalogItem(doc, variant);
+    components.push({
+      component: component._id,
+      label: component.label,
+      itemType: choice.itemType,
+      product: doc._id,
+      variant: details.variant,
+      name: details.name,
+      quantity: component.quantity,
+      unitPrice: roundMoney(details.price),
+      gstRate: doc.gstRate || 0,
+      stock: variant ? variant.stock : doc.stock,
+    });
+  }
+
+  const componentTotal = roundMoney(
+    components.reduce((total, line) => total + line.unitPrice * line.quantity, 0)
+  );
+  const availableStock = components.length > 0
+    ? Math.max(Math.min(...components.map((line) => Math.floor(line.stock / line.quantity))), 0)
+    : 0;
+
+  return {
+    components,
+    componentTotal,
+    price: roundMoney(componentTotal * (1 - (setup.bundleDiscountPercent || 0) / 100)),
+    availableStock,
+  };
+};
+
+// A setup as the storefront should see it: derived price and stock in place
+// of the stored ones, plus the resolved default bill of materials
+const withBundleDetails = async (setup) => {
+  const bundle = await resolveBundle(setup);
+  const json = setup.toJSON();
+  if (bundle.components.length > 0) {
+    json.price = bundle.price;
+    json.stock = bundle.availableStock;
+  }
+  json.bundle = bundle;
+  return json;
+};
+
+module.exports = { resolveBundle, withBundleDetails };
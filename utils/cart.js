@@ -0,0 +1,228 @@
+const jwt = require('jsonwebtoken');
+const Cart = require('../models/Cart');
+const { findCatalogItem, findVariant, describeCatalogItem } = require('./catalog');
+const { resolveBundle } = require('./bundles');
+const { roundMoney, sameAmount } = require('./money');
+
+const CART_TOKEN_EXPIRY = '30d';
+// Guest carts nobody comes back to are removed after this long
+const GUEST_CART_TTL_DAYS = 30;
+
+// A cart line is one product, or one variant of a product
+const isSameLine = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  (item.variant ? item.variant.toString() : '') === (variantId ? variantId.toString() : '');
+
+// Whether two setup configurations choose the same swaps and omissions,
+// whatever order their entries are in
+const configurationKey = (configuration) => (configuration || [])
+  .map((entry) => [entry.component, Boolean(entry.omit), entry.item, entry.variant]
+    .map((value) => (value === undefined || value === null ? '' : value.toString()))
+    .join(':'))
+  .sort()
+  .join(',');
+
+const sameConfiguration = (a, b) => configurationKey(a) === configurationKey(b);
+
+// Signed token that lets an anonymous shopper reach their guest cart
+const signCartToken = (cartId) => jwt.sign(
+  { cart: cartId, type: 'cart' },
+  process.env.JWT_SECRET || 'secret',
+  { expiresIn: CART_TOKEN_EXPIRY }
+);
+
+// Cart id from a cart token, or null if the token is missing or invalid
+const verifyCartToken = (token) => {
+  if (!token) {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
+    return decoded.type === 'cart' ? decoded.cart : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const guestCartExpiry = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Name, image, price and stock of a cart line as the catalog has them now.
+// Setups are priced and stocked from the components in their configuration.
+// Throws when the chosen variant or configuration no longer exists.
+const describeCartLine = async (itemType, doc, line) => {
+  const variant = findVariant(doc, line.variant);
+  const details = describeCatalogItem(doc, variant);
+  let stock = variant ? variant.stock : doc.stock;
+
+  if (itemType === 'FullMarineSetup') {
+    const bundle = await resolveBundle(doc, line.configuration);
+    details.price = bundle.price;
+    stock = bundle.availableStock;
+  }
+
+  return { ...details, price: roundMoney(details.price), stock: Math.max(stock, 0) };
+};
+
+// How many of a cart line's item can be sold right now, or null if the item
+// (or its variant) no longer exists
+const lineStock = async (line) => {
+  const found = await findCatalogItem(line.product, line.itemType);
+  if (!found) {
+    return null;
+  }
+  try {
+    return (await describeCartLine(found.itemType, found.doc, line)).stock;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Bring every cart line in line with the live catalog: refresh name, image
+// and price, hold quantities to the stock on hand and drop lines whose item
+// is gone or sold out. Changes the cart in place and returns what changed so
+// the shopper can be told.
+const revalidateCart = async (cart) => {
+  const changes = [];
+  const items = [];
+
+  for (const line of cart.items) {
+    const change = { product: line.product, variant: line.variant, name: line.name };
+    const found = await findCatalogItem(line.product, line.itemType);
+
+    let current;
+    if (found) {
+      try {
+        current = await describeCartLine(found.itemType, found.doc, line);
+      } catch (error) {
+        current = null;
+      }
+    }
+
+    if (!current) {
+      changes.push({ ...change, type: 'removed', reason: 'unavailable' });
+      continue;
+    }
+
+    if (current.stock <= 0) {
+      changes.push({ ...change, type: 'removed', reason: 'out_of_stock' });
+      continue;
+    }
+
+    if (!sameAmount(line.price, current.price)) {
+      changes.push({ ...change, type: 'price', from: line.price, to: current.price });
+    }
+
+    if (line.quantity > current.stock) {
+      changes.push({ ...change, type: 'quantity', from: line.quantity, to: current.stock });
+      line.quantity = current.stock;
+    }
+
+    line.name = current.name;
+    line.image = current.image;
+    line.price = current.price;
+    line.sku = current.sku;
+    items.push(line);
+  }
+
+  if (changes.length > 0) {
+    cart.items = items;
+  }
+
+  return changes;
+};
+
+// Move a guest cart into the user's own cart. Quantities of lines in both
+// carts are added together and every merged line is held to the stock on
+// hand. A setup configured differently in the guest cart takes the guest
+// cart's configuration, as the more recent choice. The guest cart is claimed (deleted) first so a token can only ever be
+// merged once, and restored if the merge fails. Returns null when there is nothing to merge, otherwise a
+// report of the lines that could not be merged as they were.
+const mergeGuestCart = async (userId, cartToken) => {
+  const cartId = verifyCartToken(cartToken);
+  if (!cartId) {
+    return null;
+  }
+
+  const guestCart = await Cart.findOneAndDelete({ _id: cartId, user: { $exists: false } });
+  if (!guestCart || guestCart.items.length === 0) {
+    return null;
+  }
+
+  try {
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+      cart = new Cart({ user: userId, items: [] });
+    }
+
+    const adjustments = [];
+    let merged = 0;
+
+    for (const guestLine of guestCart.items) {
+      const existing = cart.items.find((item) => isSameLine(item, guestLine.product, guestLine.variant));
+      const requested = guestLine.quantity + (existing ? existing.quantity : 0);
+      const stock = await lineStock(guestLine);
+
+      if (stock === null || stock <= 0) {
+        adjustments.push({
+          product: guestLine.product,
+          variant: guestLine.variant,
+          name: guestLine.name,
+          requested,
+          quantity: existing ? existing.quantity : 0,
+          reason: stock === null ? 'unavailable' : 'out_of_stock',
+        });
+        continue;
+      }
+
+      const quantity = Math.min(requested, stock);
+      if (quantity < requested) {
+        adjustments.push({
+          product: guestLine.product,
+          variant: guestLine.variant,
+          name: guestLine.name,
+          requested,
+          quantity,
+          reason: 'stock',
+        });
+      }
+
+      if (existing) {
+        if (!sameConfiguration(existing.configuration, guestLine.configuration)) {
+          existing.configuration = guestLine.configuration;
+          adjustments.push({
+            product: guestLine.product,
+            variant: guestLine.variant,
+            name: guestLine.name,
+            requested,
+            quantity,
+            reason: 'configuration',
+          });
+        }
+        existing.quantity = quantity;
+      } else {
+        cart.items.push({ ...guestLine.toObject(), quantity });
+      }
+      merged += 1;
+    }
+
+    await cart.save();
+
+    return { merged, adjustments };
+  } catch (error) {
+    // Put the guest cart back so the shopper loses nothing
+    await Cart.create(guestCart.toObject());
+    throw error;
+  }
+};
+
+module.exports = {
+  isSameLine,
+  sameConfiguration,
+  signCartToken,
+  verifyCartToken,
+  guestCartExpiry,
+  describeCartLine,
+  lineStock,
+  revalidateCart,
+  mergeGuestCart,
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Accessory = require('../models/Accessory');
+const FullMarineSetup = require('../models/FullMarineSetup');
+const { httpError } = require('./httpError');
+
+// Every collection a customer can buy from, keyed by model name
+const CATALOG_MODELS = {
+  Product,
+  Accessory,
+  FullMarineSetup,
+};
+
+const ITEM_TYPES = Object.keys(CATALOG_MODELS);
+
+// Find a catalog document by id. Older clients only send the id, so when no
+// item type is given each catalog is searched in turn.
+const findCatalogItem = async (id, itemType) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const types = itemType ? [itemType] : ITEM_TYPES;
+
+  for (const type of types) {
+    // Own keys only, so a type like "constructor" is not found on the prototype
+    if (!Object.hasOwn(CATALOG_MODELS, type)) {
+      return null;
+    }
+
+    const doc = await CATALOG_MODELS[type].findById(id);
+    if (doc) {
+      return { itemType: type, doc };
+    }
+  }
+
+  return null;
+};
+
+// Products and accessories keep an images array, setups a single image
+const getCatalogImage = (doc) => {
+  if (doc.image) {
+    return doc.image;
+  }
+  return (doc.images && doc.images[0]) || '';
+};
+
+// Only products have variants. Returns the chosen variant, or null when the
+// document has none. Throws if a variant is needed but missing or unknown.
+const findVariant = (doc, variantId) => {
+  if (!doc.variants || doc.variants.length === 0) {
+    return null;
+  }
+
+  const variant = variantId ? doc.variants.id(variantId) : null;
+  if (!variant) {
+    throw httpError(400, variantId
+      ? `The selected option of ${doc.name} is no longer available`
+      : `Please choose a size or grade for ${doc.name}`);
+  }
+  return variant;
+};
+
+// Name, image and price a customer sees for a catalog item or one of its variants
+const describeCatalogItem = (doc, variant) => {
+  if (!variant) {
+    return {
+      name: doc.name,
+      image: getCatalogImage(doc),
+      price: doc.price,
+    };
+  }
+
+  return {
+    name: variant.label ? `${doc.name} (${variant.label})` : doc.name,
+    image: variant.images[0] || getCatalogImage(doc),
+    price: variant.price,
+    variant: variant._id,
+    variantLabel: variant.label,
+    sku: variant.sku,
+  };
+};
+
+module.exports = {
+  CATALOG_MODELS,
+  ITEM_TYPES,
+  findCatalogItem,
+  getCatalogImage,
+  findVariant,
+  describeCatalogItem,
+};
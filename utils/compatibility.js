@@ -0,0 +1,125 @@
+const TEMPERAMENT_LEVEL = {
+  peaceful: 0,
+  'semi-aggressive': 1,
+  aggressive: 2,
+};
+
+const overlaps = (minA, maxA, minB, maxB) => {
+  if ([minA, maxA, minB, maxB].some((value) => value === undefined || value === null)) {
+    return true;
+  }
+  return Math.max(minA, minB) <= Math.min(maxA, maxB);
+};
+
+const sharedGroups = (predatorOf, preyGroups) => {
+  const prey = (preyGroups || []).map((group) => group.toLowerCase());
+  return (predatorOf || []).filter((group) => prey.includes(group.toLowerCase()));
+};
+
+// Hard conflicts and softer warnings for one pair of animals
+const checkPair = (a, b) => {
+  const conflicts = [];
+  const warnings = [];
+  const names = [a.name, b.name];
+  const la = a.livestock;
+  const lb = b.livestock;
+
+  if (la.waterType && lb.waterType && la.waterType !== lb.waterType) {
+    conflicts.push({
+      type: 'water-type',
+      items: names,
+      message: `${a.name} needs ${la.waterType} but ${b.name} needs ${lb.waterType}`,
+    });
+  }
+
+  [[a, b], [b, a]].forEach(([predator, prey]) => {
+    const groups = sharedGroups(predator.livestock.predatorOf, prey.livestock.preyGroups);
+    if (groups.length > 0) {
+      conflicts.push({
+        type: 'predation',
+        items: [predator.name, prey.name],
+        message: `${predator.name} is likely to eat ${prey.name} (${groups.join(', ')})`,
+      });
+    }
+  });
+
+  if (!overlaps(la.temperatureMin, la.temperatureMax, lb.temperatureMin, lb.temperatureMax)) {
+    conflicts.push({
+      type: 'temperature',
+      items: names,
+      message: `${a.name} and ${b.name} need different water temperatures`,
+    });
+  }
+
+  if (!overlaps(la.phMin, la.phMax, lb.phMin, lb.phMax)) {
+    conflicts.push({
+      type: 'ph',
+      items: names,
+      message: `${a.name} and ${b.name} need different pH ranges`,
+    });
+  }
+
+  const levelA = TEMPERAMENT_LEVEL[la.temperament];
+  const levelB = TEMPERAMENT_LEVEL[lb.temperament];
+  if (levelA !== undefined && levelB !== undefined) {
+    if (Math.abs(levelA - levelB) === 2) {
+      const [aggressor, victim] = levelA > levelB ? [a, b] : [b, a];
+      warnings.push({
+        type: 'temperament',
+        items: [aggressor.name, victim.name],
+        message: `${aggressor.name} is aggressive and may harass the peaceful ${victim.name}`,
+      });
+    } else if (levelA === 2 && levelB === 2) {
+      warnings.push({
+        type: 'temperament',
+        items: names,
+        message: `${a.name} and ${b.name} are both aggressive and may fight`,
+      });
+    }
+  }
+
+  return { conflicts, warnings };
+};
+
+// Check livestock about to be bought against each other and against what is
+// already in the customer's tank. Entries are { name, livestock, source }
+// where source is 'cart' or 'tank'; animals already living together in the
+// tank are not compared with each other.
+const checkCompatibility = (entries, { reefTank = false } = {}) => {
+  const conflicts = [];
+  const warnings = [];
+
+  // Dry goods and livestock without husbandry data are not checked
+  const livestock = entries.filter((entry) => entry.livestock);
+
+  if (reefTank) {
+    livestock
+      .filter((entry) => entry.source === 'cart' && entry.livestock.reefSafe === false)
+      .forEach((entry) => {
+        conflicts.push({
+          type: 'reef-safety',
+          items: [entry.name],
+          message: `${entry.name} is not reef safe`,
+        });
+      });
+  }
+
+  for (let i = 0; i < livestock.length; i += 1) {
+    for (let j = i + 1; j < livestock.length; j += 1) {
+      if (livestock[i].source === 'tank' && livestock[j].source === 'tank') {
+        continue;
+      }
+      const result = checkPair(livestock[i], livestock[j]);
+      conflicts.push(...result.conflicts);
+      warnings.push(...result.warnings);
+    }
+  }
+
+  return {
+    compatible: conflicts.length === 0,
+    conflicts,
+    warnings,
+  };
+};
+
+module.exports = { checkCompatibility };
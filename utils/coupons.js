@@ -0,0 +1,125 @@
+const Coupon = require('../models/Coupon');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./money');
+
+const findCoupon = async (code) => {
+  const coupon = await Coupon.findOne({ code: (code || '').toString().trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    throw httpError(400, 'Invalid coupon code');
+  }
+  return coupon;
+};
+
+const timesUsedBy = (coupon, userId) =>
+  (userId && coupon.userRedemptions && coupon.userRedemptions.get(userId.toString())) || 0;
+
+const isEligibleLine = (coupon, item) => {
+  if (coupon.itemTypes.length > 0 && !coupon.itemTypes.includes(item.itemType)) {
+    return false;
+  }
+  if (coupon.categories.length > 0) {
+    return Boolean(item.category) && coupon.categories.some((id) => id.toString() === item.category.toString());
+  }
+  return true;
+};
+
+// Check a coupon against priced cart lines and work out the discount. The
+// discount is spread over the eligible lines in proportion to their value so
+// GST is charged on what the customer actually pays for each line.
+const applyCoupon = async (coupon, pricedItems, userId) => {
+  const now = new Date();
+  if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+    throw httpError(400, 'This coupon is not valid at the moment');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(400, 'This coupon has been fully redeemed');
+  }
+
+  if (timesUsedBy(coupon, userId) >= coupon.perUserLimit) {
+    throw httpError(400, 'You have already used this coupon');
+  }
+
+  const itemsPrice = roundMoney(pricedItems.reduce((total, item) => total + item.price * item.qty, 0));
+  if (itemsPrice < coupon.minOrderValue) {
+    throw httpError(400, `This coupon needs a minimum order of ₹${coupon.minOrderValue}`);
+  }
+
+  const eligible = pricedItems.filter((item) => isEligibleLine(coupon, item));
+  const eligibleValue = roundMoney(eligible.reduce((total, item) => total + item.price * item.qty, 0));
+  if (eligibleValue === 0) {
+    throw httpError(400, 'This coupon does not apply to any items in your cart');
+  }
+
+  let amount = coupon.discountType === 'percentage'
+    ? eligibleValue * coupon.value / 100
+    : coupon.value;
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+    amount = Math.min(amount, coupon.maxDiscount);
+  }
+  amount = roundMoney(Math.min(amount, eligibleValue));
+
+  // The last eligible line takes the rounding remainder
+  let allocated = 0;
+  const orderItems = pricedItems.map((item) => {
+    if (!eligible.includes(item)) {
+      return item;
+    }
+    const isLast = item === eligible[eligible.length - 1];
+    const discount = isLast
+      ? roundMoney(amount - allocated)
+      : roundMoney(amount * (item.price * item.qty) / eligibleValue);
+    allocated = roundMoney(allocated + discount);
+    return { ...item, discount };
+  });
+
+  return {
+    orderItems,
+    discount: {
+      coupon: coupon._id,
+      code: coupon.code,
+      description: coupon.description,
+      amount,
+    },
+  };
+};
+
+// Count a redemption against the global and per-user limits. The
+// conditional update stops two orders from taking the last use (overall or
+// for one customer) at the same time.
+const redeemCoupon = async (coupon, userId) => {
+  const userCount = `userRedemptions.${userId}`;
+  const filter = {
+    _id: coupon._id,
+    [userCount]: { $not: { $gte: coupon.perUserLimit } },
+  };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1, [userCount]: 1 } });
+  if (!updated) {
+    const current = await Coupon.findById(coupon._id);
+    if (current && timesUsedBy(current, userId) >= current.perUserLimit) {
+      throw httpError(400, 'You have already used this coupon');
+    }
+    throw httpError(400, 'This coupon has been fully redeemed');
+  }
+};
+
+const releaseCoupon = async (couponId, userId) => {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  await Coupon.updateOne(
+    { _id: couponId, [`userRedemptions.${userId}`]: { $gt: 0 } },
+    { $inc: { [`userRedemptions.${userId}`]: -1 } }
+  );
+};
+
+module.exports = {
+  findCoupon,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
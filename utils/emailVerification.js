@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { sendMail, escapeHtml } = require('./mailer');
+
+// How long a verification code stays valid
+const CODE_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+// Shortest wait before another code can be sent
+const RESEND_COOLDOWN_SECONDS = 60;
+// Wrong guesses allowed before a code is thrown away
+const MAX_CODE_ATTEMPTS = 5;
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Codes are tied to the user and address they were sent to, and only their
+// hash is stored
+const hashCode = (user, code) => crypto
+  .createHash('sha256')
+  .update(`${user._id}:${user.email.toLowerCase()}:${code}`)
+  .digest('hex');
+
+// Seconds left before another code may be sent, 0 when one can go now
+const resendWaitSeconds = (user) => {
+  if (!user.emailVerificationSentAt) {
+    return 0;
+  }
+  const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+  return Math.max(Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed), 0);
+};
+
+// Give the user a new six digit code, save it and email it with a link that
+// verifies in one click. Any earlier code stops working.
+const sendVerificationEmail = async (user) => {
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  user.emailVerificationCode = hashCode(user, code);
+  user.emailVerificationExpires = new Date(Date.now() + CODE_TTL_HOURS * 60 * 60 * 1000);
+  user.emailVerificationSentAt = new Date();
+  user.emailVerificationAttempts = 0;
+  await user.save();
+
+  const link = `${API_URL}/api/users/verify-email?email=${encodeURIComponent(user.email)}&code=${code}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nYour verification code is: ${code}\n\nOr open this link to verify: ${link}\n\nThis code will expire in ${CODE_TTL_HOURS} hours.\n\nIf you did not create an account, please ignore this email.`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Verify your email address</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>Your verification code is:</p>
+        <div style="background-color: #f0f0f0; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+          ${code}
+        </div>
+        <p>Or <a href="${link}">click here to verify your email</a>.</p>
+        <p><strong>This code will expire in ${CODE_TTL_HOURS} hours.</strong></p>
+        <p>If you did not create an account, please ignore this email.</p>
+        <p>Best regards,<br/>The Aquarium Shop Team</p>
+      </div>
+    `,
+  });
+};
+
+// Check a code against the one last sent. Marks the user verified (unsaved)
+// and returns true when it matches and has not expired.
+const verifyEmailCode = (user, code) => {
+  if (!code || !user.emailVerificationCode || !user.emailVerificationExpires) {
+    return false;
+  }
+  if (user.emailVerificationExpires.getTime() < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(user.emailVerificationCode, 'hex');
+  const actual = Buffer.from(hashCode(user, code.toString().trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return false;
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationCode = undefined;
+  user.emailVerificationExpires = undefined;
+  user.emailVerificationAttempts = undefined;
+  return true;
+};
+
+// Checkout waits for a verified email when REQUIRE_EMAIL_VERIFICATION=true
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+module.exports = {
+  MAX_CODE_ATTEMPTS,
+  resendWaitSeconds,
+  sendVerificationEmail,
+  verifyEmailCode,
+  isVerificationRequired,
+};
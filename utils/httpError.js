@@ -0,0 +1,20 @@
+// Build an Error carrying an HTTP status (and optional extra JSON fields) so
+// helpers outside the route handlers can reject a request without touching `res`.
+const httpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+// Respond with an error raised through httpError; anything else is a 500.
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    message: error.message,
+    ...error.details,
+  });
+};
+
+module.exports = { httpError, sendError };
@@ -0,0 +1,76 @@
+const nodemailer = require('nodemailer');
+const jwt = require('jsonwebtoken');
+
+// Create email transporter
+const createTransporter = () => {
+  try {
+    // Only create transporter if email credentials are available
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      throw new Error('Email credentials not configured');
+    }
+    return nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+      port: process.env.EMAIL_PORT || 587,
+      secure: false, // true for 465, false for other ports
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to create email transporter:', error);
+    throw new Error('Email configuration error');
+  }
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+// Make a value safe to put inside an HTML email. Names typed by customers
+// or admins must never be treated as markup.
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Send an email from the shop's address
+const sendMail = (mailOptions) => createTransporter().sendMail({
+  from: process.env.EMAIL_USER,
+  ...mailOptions,
+});
+
+// Unsubscribe links sit in inboxes and mail logs, so their tokens are signed
+// with a key of their own (never accepted as a sign-in) and expire
+const UNSUBSCRIBE_TOKEN_EXPIRY = process.env.UNSUBSCRIBE_TOKEN_EXPIRY || '90d';
+
+const unsubscribeSecret = () =>
+  process.env.UNSUBSCRIBE_SECRET || `${process.env.JWT_SECRET || 'secret'}:unsubscribe`;
+
+// Signed token for a one-click unsubscribe link from one kind of email. It
+// names the user and the list, nothing else.
+const signUnsubscribeToken = (userId, list) => jwt.sign(
+  { sub: userId.toString(), list, type: 'unsubscribe' },
+  unsubscribeSecret(),
+  { expiresIn: UNSUBSCRIBE_TOKEN_EXPIRY }
+);
+
+// User id from an unsubscribe token for `list`, or null if it is not valid
+const verifyUnsubscribeToken = (token, list) => {
+  try {
+    const decoded = jwt.verify(token, unsubscribeSecret());
+    return decoded.type === 'unsubscribe' && decoded.list === list ? decoded.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createTransporter,
+  escapeHtml,
+  sendMail,
+  signUnsubscribeToken,
+  verifyUnsubscribeToken,
+};
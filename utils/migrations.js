@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const Migration = require('../models/Migration');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named NNN-description.js and run in that order. Each
+// exports an async up() that is safe to run against a partly migrated
+// database.
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter((file) => /^\d{3}-[\w-]+\.js$/.test(file))
+  .sort();
+
+// Apply every migration that has not been applied yet, in order, and return
+// the names of those that ran. Each one is claimed by inserting its record
+// first, so two servers starting together cannot both run it. A migration
+// that fails is released so the next start retries it; one whose server died
+// part way stays claimed until its record is deleted.
+const runMigrations = async () => {
+  await Migration.init();
+
+  const applied = [];
+  for (const file of listMigrations()) {
+    const name = path.basename(file, '.js');
+
+    try {
+      await Migration.create({ name });
+    } catch (error) {
+      if (error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+
+    try {
+      await require(path.join(MIGRATIONS_DIR, file)).up();
+    } catch (error) {
+      await Migration.deleteOne({ name });
+      throw new Error(`Migration ${name} failed: ${error.message}`);
+    }
+
+    await Migration.updateOne({ name }, { completedAt: new Date() });
+    applied.push(name);
+  }
+
+  return applied;
+};
+
+module.exports = { runMigrations };
@@ -0,0 +1,7 @@
+// Round a rupee amount to paise
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Two amounts agree if they are within half a paisa of each other
+const sameAmount = (a, b) => Math.abs(Number(a) - Number(b)) < 0.005;
+
+module.exports = { roundMoney, sameAmount };
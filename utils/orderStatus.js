@@ -0,0 +1,182 @@
+const Order = require('../models/Order');
+const { httpError } = require('./httpError');
+const { releaseStock } = require('./stock');
+const { grantCredit } = require('./wallet');
+const { releaseCoupon } = require('./coupons');
+
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'packed',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+// Legal moves out of each status. Orders can be cancelled until they leave
+// the shop; refunds apply to delivered orders and paid cancelled ones.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+const transitionHooks = [];
+
+// Register a side effect to run after an order moves into `status` (or into
+// any status with '*'). Hooks receive { order, from, to, changedBy, note }.
+const onOrderTransition = (status, hook) => {
+  transitionHooks.push({ status, hook });
+};
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Fields that must always agree with the status being entered
+const syncedFields = (to) => {
+  const now = new Date();
+  switch (to) {
+    case 'delivered':
+      return { isDelivered: true, deliveredAt: now };
+    case 'refunded':
+      return { refundedAt: now };
+    case 'cancelled':
+      return { isDelivered: false, cancelledAt: now };
+    default:
+      return { isDelivered: false };
+  }
+};
+
+// Move an order to a new status. The update only applies while the order is
+// still in the status it was read in, so two admins cannot both move it and
+// every hook fires exactly once per transition.
+const transitionOrder = async (order, to, { changedBy, note } = {}) => {
+  const from = order.status;
+
+  if (!ORDER_STATUSES.includes(to)) {
+    throw httpError(400, `Unknown order status: ${to}`);
+  }
+
+  if (!canTransition(from, to)) {
+    throw httpError(409, `Cannot move an order from ${from} to ${to}`, {
+      allowed: ORDER_TRANSITIONS[from] || [],
+    });
+  }
+
+  if (to === 'refunded' && !order.isPaid) {
+    throw httpError(409, 'Only paid orders can be refunded');
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set: { status: to, ...syncedFields(to) },
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          changedBy,
+          note,
+          changedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    throw httpError(409, 'Order status was changed by someone else, please reload');
+  }
+
+  for (const { status, hook } of transitionHooks) {
+    if (status === to || status === '*') {
+      try {
+        await hook({ order: updatedOrder, from, to, changedBy, note });
+      } catch (error) {
+        console.error(`Order ${updatedOrder._id} ${from} -> ${to} hook failed:`, error);
+      }
+    }
+  }
+
+  return updatedOrder;
+};
+
+// Record a payment against an order. Cancelled and refunded orders are past
+// taking money, and an order is only marked paid once; the update is
+// conditional so a status change made meanwhile is not overwritten.
+const UNPAYABLE_STATUSES = ['cancelled', 'refunded'];
+
+const markOrderPaid = async (order, paymentResult) => {
+  if (UNPAYABLE_STATUSES.includes(order.status)) {
+    throw httpError(409, `A ${order.status} order cannot be marked paid`);
+  }
+  if (order.isPaid) {
+    throw httpError(409, 'Order is already paid');
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $nin: UNPAYABLE_STATUSES }, isPaid: { $ne: true } },
+    { $set: { isPaid: true, paidAt: new Date(), paymentResult } },
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    throw httpError(409, 'Order was changed by someone else, please reload');
+  }
+  return updatedOrder;
+};
+
+// Cancelling hands the order's stock back. The flag is cleared with a
+// conditional update so the stock can never be restored twice.
+onOrderTransition('cancelled', async ({ order }) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: true },
+    { stockReserved: false }
+  );
+  if (claimed) {
+    await releaseStock(order.orderItems);
+    order.stockReserved = false;
+  }
+});
+
+// A cancelled order gives its coupon use back
+onOrderTransition('cancelled', async ({ order }) => {
+  if (order.discount && order.discount.coupon) {
+    await releaseCoupon(order.discount.coupon, order.user);
+  }
+});
+
+// Store credit spent on an order goes back to the customer when the order is
+// cancelled or refunded, once only
+const returnStoreCredit = async ({ order, to, changedBy }) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, storeCreditApplied: { $gt: 0 }, storeCreditReturned: false },
+    { storeCreditReturned: true }
+  );
+  if (claimed) {
+    await grantCredit({
+      user: order.user,
+      amount: order.storeCreditApplied,
+      reason: `Store credit returned for ${to} order ${order._id}`,
+      order: order._id,
+      createdBy: changedBy,
+    });
+    order.storeCreditReturned = true;
+  }
+};
+
+onOrderTransition('cancelled', returnStoreCredit);
+onOrderTransition('refunded', returnStoreCredit);
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  onOrderTransition,
+  transitionOrder,
+  markOrderPaid,
+};
@@ -0,0 +1,51 @@
+const ROLES = ['owner', 'catalog_manager', 'fulfilment', 'support', 'customer'];
+
+// Every role except customer is shop staff and counts as an admin
+const STAFF_ROLES = ROLES.filter((role) => role !== 'customer');
+
+const PERMISSIONS = [
+  'catalog:write', // products, variants, accessories, setups, categories, synonyms
+  'reviews:moderate',
+  'coupons:manage',
+  'shipping:manage',
+  'orders:read',
+  'orders:manage', // status changes and delivery
+  'claims:read',
+  'claims:resolve',
+  'wallet:read',
+  'wallet:adjust',
+  'policies:write',
+  'users:read',
+  'users:manage', // role assignment
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  catalog_manager: ['catalog:write', 'reviews:moderate', 'coupons:manage'],
+  fulfilment: ['orders:read', 'orders:manage', 'shipping:manage', 'claims:read'],
+  support: [
+    'orders:read',
+    'claims:read',
+    'claims:resolve',
+    'reviews:moderate',
+    'wallet:read',
+    'wallet:adjust',
+    'users:read',
+  ],
+  customer: [],
+};
+
+// Users saved before roles existed only have isAdmin; treat their admins as owners
+const roleOf = (user) => user.role || (user.isAdmin ? 'owner' : 'customer');
+
+const hasPermission = (user, permission) =>
+  Boolean(user) && (ROLE_PERMISSIONS[roleOf(user)] || []).includes(permission);
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  roleOf,
+  hasPermission,
+};
@@ -0,0 +1,209 @@
+const { findCatalogItem, findVariant, describeCatalogItem } = require('./catalog');
+const { httpError } = require('./httpError');
+const { roundMoney, sameAmount } = require('./money');
+const { quoteShipping } = require('./shipping');
+const { calculateGst } = require('./tax');
+const { findCoupon, applyCoupon } = require('./coupons');
+const { resolveBundle } = require('./bundles');
+
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+// Rebuild order lines from the live catalog. Only the item reference, chosen
+// variant and quantity are taken from the client; name, image and price come
+// from the current catalog document.
+const priceOrderItems = async (orderItems) => {
+  const pricedItems = [];
+  const unavailable = [];
+
+  for (const item of orderItems) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw httpError(400, 'Each order item must be an object with a product and qty');
+    }
+
+    const qty = Number(item.qty);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw httpError(400, `Invalid quantity for ${item.name || item.product}`);
+    }
+
+    const found = await findCatalogItem(item.product, item.itemType);
+    if (!found) {
+      unavailable.push(item.product);
+      continue;
+    }
+
+    const { itemType, doc } = found;
+    const details = describeCatalogItem(doc, findVariant(doc, item.variant));
+
+    // Setups built from components are priced from what goes in the box
+    let bundleComponents = [];
+    if (itemType === 'FullMarineSetup') {
+      const bundle = await resolveBundle(doc, item.configuration);
+      details.price = bundle.price;
+      bundleComponents = bundle.components.map((line) => ({
+        itemType: line.itemType,
+        product: line.product,
+        variant: line.variant,
+        name: line.name,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        gstRate: line.gstRate,
+      }));
+    }
+
+    pricedItems.push({
+      ...details,
+      qty,
+      price: roundMoney(details.price),
+      bundleComponents,
+      product: doc._id,
+      itemType,
+      hsnCode: doc.hsnCode || '',
+      gstRate: doc.gstRate || 0,
+      category: doc.category,
+    });
+  }
+
+  if (unavailable.length > 0) {
+    throw httpError(400, 'Some order items are no longer available', { unavailable });
+  }
+
+  return pricedItems;
+};
+
+// Cart lines use `quantity` where order lines use `qty`; accept either
+const toOrderLines = (items) => items.map((item) => ({
+  product: item.product,
+  itemType: item.itemType,
+  variant: item.variant,
+  configuration: item.configuration,
+  qty: item.qty !== undefined ? item.qty : item.quantity,
+}));
+
+const sumItemsPrice = (pricedItems) => roundMoney(
+  pricedItems.reduce((total, item) => total + item.price * item.qty, 0)
+);
+
+// Price lines from the catalog and take off any coupon. Checkout and the
+// shipping quote both start here, so a zone's minimum order is always
+// checked against the same discounted figure.
+const priceDiscountedItems = async (items, { couponCode, userId } = {}) => {
+  let pricedItems = await priceOrderItems(items);
+
+  let coupon = null;
+  let discount;
+  if (couponCode) {
+    coupon = await findCoupon(couponCode);
+    ({ orderItems: pricedItems, discount } = await applyCoupon(coupon, pricedItems, userId));
+  }
+  const discountPrice = discount ? discount.amount : 0;
+
+  return {
+    pricedItems,
+    coupon,
+    discount,
+    discountPrice,
+    itemsPrice: roundMoney(sumItemsPrice(pricedItems) - discountPrice),
+  };
+};
+
+// Work out every order total from server-priced lines
+const calculateOrderTotals = (pricedItems, { discountPrice = 0, shippingPrice = 0, taxPrice = 0 } = {}) => {
+  const itemsPrice = sumItemsPrice(pricedItems);
+
+  return {
+    itemsPrice,
+    discountPrice,
+    taxPrice,
+    shippingPrice,
+    totalPrice: roundMoney(itemsPrice - discountPrice + taxPrice + shippingPrice),
+  };
+};
+
+// Compare whatever prices the client sent with the server's own figures.
+// Returns null when they agree, otherwise the offending lines and totals.
+const diffClientPricing = (clientOrder, pricedItems, totals) => {
+  const items = [];
+  (clientOrder.orderItems || []).forEach((clientItem, index) => {
+    const serverItem = pricedItems[index];
+    if (isProvided(clientItem.price) && !sameAmount(clientItem.price, serverItem.price)) {
+      items.push({
+        index,
+        product: serverItem.product,
+        name: serverItem.name,
+        field: 'price',
+        client: Number(clientItem.price),
+        server: serverItem.price,
+      });
+    }
+  });
+
+  const totalsDiff = Object.keys(totals)
+    .filter((field) => isProvided(clientOrder[field]) && !sameAmount(clientOrder[field], totals[field]))
+    .map((field) => ({
+      field,
+      client: Number(clientOrder[field]),
+      server: totals[field],
+    }));
+
+  if (items.length === 0 && totalsDiff.length === 0) {
+    return null;
+  }
+
+  return { items, totals: totalsDiff };
+};
+
+// Price an incoming order entirely on the server, including any coupon and
+// the shipping and GST for the order's address. Rejects with a 409 and a
+// structured diff when the client's figures disagree with the catalog.
+const buildOrderPricing = async (clientOrder, { userId } = {}) => {
+  const {
+    pricedItems,
+    coupon,
+    discount,
+    discountPrice,
+    itemsPrice,
+  } = await priceDiscountedItems(clientOrder.orderItems, { couponCode: clientOrder.couponCode, userId });
+
+  const shipping = await quoteShipping({
+    itemsPrice,
+    destination: clientOrder.shippingAddress,
+  });
+  if (!shipping.meetsMinimum) {
+    throw httpError(400, `Minimum order value for ${shipping.zone} is ₹${shipping.minOrderValue}`, { shipping });
+  }
+
+  const { orderItems, taxBreakdown, taxPrice } = calculateGst(pricedItems, clientOrder.shippingAddress.state);
+
+  const totals = calculateOrderTotals(orderItems, {
+    discountPrice,
+    shippingPrice: shipping.shippingPrice,
+    taxPrice,
+  });
+
+  const diff = diffClientPricing(clientOrder, orderItems, totals);
+  if (diff) {
+    throw httpError(409, 'Order prices do not match current catalog prices', {
+      diff,
+      pricing: { orderItems, ...totals },
+    });
+  }
+
+  return {
+    orderItems,
+    ...totals,
+    discount,
+    coupon,
+    taxBreakdown,
+    shipping,
+  };
+};
+
+module.exports = {
+  toOrderLines,
+  priceOrderItems,
+  sumItemsPrice,
+  priceDiscountedItems,
+  calculateOrderTotals,
+  diffClientPricing,
+  buildOrderPricing,
+};
@@ -0,0 +1,38 @@
+const Order = require('../models/Order');
+const { CATALOG_MODELS } = require('./catalog');
+
+const hasPurchased = async (userId, itemType, itemId) => {
+  const order = await Order.exists({
+    user: userId,
+    status: 'delivered',
+    orderItems: { $elemMatch: { product: itemId, itemType } },
+  });
+  return Boolean(order);
+};
+
+// Add (direction 1) or remove (direction -1) one review's rating from its
+// item's running average. Done as a single pipeline update so concurrent
+// moderation never loses a count.
+const updateItemRating = (review, direction) => {
+  const Model = CATALOG_MODELS[review.itemType];
+  const count = { $ifNull: ['$numReviews', 0] };
+  const total = { $multiply: [{ $ifNull: ['$rating', 0] }, count] };
+  const newCount = { $add: [count, direction] };
+
+  return Model.updateOne({ _id: review.item }, [
+    {
+      $set: {
+        numReviews: { $max: [newCount, 0] },
+        rating: {
+          $cond: [
+            { $gt: [newCount, 0] },
+            { $divide: [{ $add: [total, direction * review.rating] }, newCount] },
+            0,
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+module.exports = { hasPurchased, updateItemRating };
@@ -0,0 +1,387 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Accessory = require('../models/Accessory');
+const { CATALOG_MODELS, ITEM_TYPES } = require('./catalog');
+
+const PRICE_BOUNDARIES = [0, 500, 1000, 2500, 5000, 10000, 25000];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const SORT_OPTIONS = {
+  relevance: { score: -1, numReviews: -1 },
+  popularity: { numReviews: -1, createdAt: -1 },
+  rating: { rating: -1, numReviews: -1 },
+  date: { createdAt: -1 },
+  'price-asc': { price: 1 },
+  'price-desc': { price: -1 },
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+// Categories may be given by id or by name
+const resolveCategoryIds = async (categories) => {
+  const ids = categories.filter((value) => mongoose.Types.ObjectId.isValid(value));
+  const names = categories.filter((value) => !mongoose.Types.ObjectId.isValid(value));
+  const docs = names.length > 0 ? await Category.find({ name: { $in: names } }).select('_id') : [];
+  return ids.map((id) => new mongoose.Types.ObjectId(id)).concat(docs.map((doc) => doc._id));
+};
+
+// Filters chosen from the facets; they narrow the results but not the
+// facet counts, so the storefront can still show the other options
+const buildFilters = ({ categoryIds, minPrice, maxPrice, inStock, minRating }) => {
+  const filters = {};
+  if (categoryIds.length > 0) {
+    filters.category = { $in: categoryIds };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = {};
+    if (minPrice !== undefined) {
+      filters.price.$gte = minPrice;
+    }
+    if (maxPrice !== undefined) {
+      filters.price.$lte = maxPrice;
+    }
+  }
+  if (inStock) {
+    filters.stock = { $gt: 0 };
+  }
+  if (minRating !== undefined) {
+    filters.rating = { $gte: minRating };
+  }
+  return filters;
+};
+
+// One default component of a setup as resolveBundle sees it: the catalog
+// document it names, and the variant when that document has variants. A
+// component whose item is gone, or whose variant is missing, is unavailable.
+const componentLine = {
+  $let: {
+    vars: {
+      doc: {
+        $first: {
+          $filter: {
+            input: {
+              $cond: [
+                { $eq: ['$$component.itemType', 'Product'] },
+                '$componentProducts',
+                '$componentAccessories',
+              ],
+            },
+            as: 'doc',
+            cond: { $eq: ['$$doc._id', '$$component.item'] },
+          },
+        },
+      },
+    },
+    in: {
+      $let: {
+        vars: {
+          hasVariants: { $gt: [{ $size: { $ifNull: ['$$doc.variants', []] } }, 0] },
+          variant: {
+            $first: {
+              $filter: {
+                input: { $ifNull: ['$$doc.variants', []] },
+                as: 'variant',
+                cond: { $eq: ['$$variant._id', '$$component.variant'] },
+              },
+            },
+          },
+        },
+        in: {
+          quantity: '$$component.quantity',
+          available: {
+            $and: [
+              { $ne: [{ $ifNull: ['$$doc', null] }, null] },
+              { $or: [{ $not: ['$$hasVariants'] }, { $ne: [{ $ifNull: ['$$variant', null] }, null] }] },
+            ],
+          },
+          unitPrice: { $round: [{ $ifNull: [{ $cond: ['$$hasVariants', '$$variant.price', '$$doc.price'] }, 0] }, 2] },
+          stock: { $ifNull: [{ $cond: ['$$hasVariants', '$$variant.stock', '$$doc.stock'] }, 0] },
+        },
+      },
+    },
+  },
+};
+
+// Setups built from components ignore their stored price and stock. Work out
+// the derived ones here, the same way resolveBundle does for the default
+// configuration, so filters, sorting and facets all see what a customer pays.
+const bundleStages = () => [
+  {
+    $lookup: {
+      from: Product.collection.collectionName,
+      localField: 'components.item',
+      foreignField: '_id',
+      as: 'componentProducts',
+    },
+  },
+  {
+    $lookup: {
+      from: Accessory.collection.collectionName,
+      localField: 'components.item',
+      foreignField: '_id',
+      as: 'componentAccessories',
+    },
+  },
+  {
+    $addFields: {
+      componentLines: {
+        $map: { input: { $ifNull: ['$components', []] }, as: 'component', in: componentLine },
+      },
+    },
+  },
+  {
+    $addFields: {
+      price: {
+        $cond: [
+          { $gt: [{ $size: '$componentLines' }, 0] },
+          {
+            $round: [
+              {
+                $multiply: [
+                  {
+                    $round: [
+                      { $sum: { $map: { input: '$componentLines', as: 'line', in: { $multiply: ['$$line.unitPrice', '$$line.quantity'] } } } },
+                      2,
+                    ],
+                  },
+                  { $subtract: [1, { $divide: [{ $ifNull: ['$bundleDiscountPercent', 0] }, 100] }] },
+                ],
+              },
+              2,
+            ],
+          },
+          '$price',
+        ],
+      },
+      stock: {
+        $cond: [
+          { $gt: [{ $size: '$componentLines' }, 0] },
+          {
+            $cond: [
+              { $allElementsTrue: [{ $map: { input: '$componentLines', as: 'line', in: '$$line.available' } }] },
+              {
+                $max: [
+                  { $min: { $map: { input: '$componentLines', as: 'line', in: { $floor: { $divide: ['$$line.stock', '$$line.quantity'] } } } } },
+                  0,
+                ],
+              },
+              0,
+            ],
+          },
+          '$stock',
+        ],
+      },
+    },
+  },
+  { $project: { componentProducts: 0, componentAccessories: 0, componentLines: 0 } },
+];
+
+const buildPipeline = ({ itemType, q, filters, sort, limit }) => [
+  { $match: q ? { $text: { $search: q } } : {} },
+  {
+    $addFields: {
+      itemType,
+      score: q ? { $meta: 'textScore' } : 0,
+    },
+  },
+  ...(itemType === 'FullMarineSetup' ? bundleStages() : []),
+  {
+    $lookup: {
+      from: 'categories',
+      localField: 'category',
+      foreignField: '_id',
+      as: 'categoryInfo',
+    },
+  },
+  {
+    $facet: {
+      results: [
+        { $match: filters },
+        { $sort: sort },
+        { $limit: limit },
+        { $addFields: { category: { $ifNull: [{ $first: '$categoryInfo' }, '$category'] } } },
+        { $project: { categoryInfo: 0 } },
+      ],
+      total: [
+        { $match: filters },
+        { $count: 'count' },
+      ],
+      categories: [
+        { $unwind: '$categoryInfo' },
+        {
+          $group: {
+            _id: '$categoryInfo._id',
+            name: { $first: '$categoryInfo.name' },
+            count: { $sum: 1 },
+          },
+        },
+      ],
+      price: [
+        {
+          $bucket: {
+            groupBy: '$price',
+            boundaries: PRICE_BOUNDARIES,
+            default: 'above',
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+      availability: [
+        {
+          $group: {
+            _id: null,
+            inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+            outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } },
+          },
+        },
+      ],
+      rating: [
+        {
+          $group: {
+            _id: null,
+            ...Object.fromEntries(RATING_THRESHOLDS.map((threshold) => [
+              `atLeast${threshold}`,
+              { $sum: { $cond: [{ $gte: ['$rating', threshold] }, 1, 0] } },
+            ])),
+          },
+        },
+      ],
+    },
+  },
+];
+
+const priceBucketLabel = (bucketId) => {
+  if (bucketId === 'above') {
+    const last = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+    return { min: last, max: null };
+  }
+  const index = PRICE_BOUNDARIES.indexOf(bucketId);
+  return { min: bucketId, max: PRICE_BOUNDARIES[index + 1] };
+};
+
+// Add up the per-catalog facet counts into one set of facets
+const mergeFacets = (perType) => {
+  const categories = new Map();
+  const price = new Map();
+  const availability = { inStock: 0, outOfStock: 0 };
+  const rating = new Map(RATING_THRESHOLDS.map((threshold) => [threshold, 0]));
+  const itemTypes = {};
+
+  perType.forEach(({ itemType, facets }) => {
+    itemTypes[itemType] = facets.total[0] ? facets.total[0].count : 0;
+
+    facets.categories.forEach((entry) => {
+      const key = entry._id.toString();
+      const existing = categories.get(key) || { _id: entry._id, name: entry.name, count: 0 };
+      existing.count += entry.count;
+      categories.set(key, existing);
+    });
+
+    facets.price.forEach((entry) => {
+      price.set(entry._id, (price.get(entry._id) || 0) + entry.count);
+    });
+
+    if (facets.availability[0]) {
+      availability.inStock += facets.availability[0].inStock;
+      availability.outOfStock += facets.availability[0].outOfStock;
+    }
+
+    if (facets.rating[0]) {
+      RATING_THRESHOLDS.forEach((threshold) => {
+        rating.set(threshold, rating.get(threshold) + facets.rating[0][`atLeast${threshold}`]);
+      });
+    }
+  });
+
+  return {
+    itemTypes,
+    categories: [...categories.values()].sort((a, b) => b.count - a.count),
+    price: [...price.entries()]
+      .map(([bucketId, count]) => ({ ...priceBucketLabel(bucketId), count }))
+      .sort((a, b) => a.min - b.min),
+    availability,
+    rating: [...rating.entries()].map(([minRating, count]) => ({ minRating, count })),
+  };
+};
+
+const compareBySort = (sort) => (a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const left = a[field] instanceof Date ? a[field].getTime() : (a[field] || 0);
+    const right = b[field] instanceof Date ? b[field].getTime() : (b[field] || 0);
+    if (left !== right) {
+      return (left - right) * direction;
+    }
+  }
+  return 0;
+};
+
+const numberOrUndefined = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+// Results from every catalog are merged before paging, so each catalog has
+// to sort and hand back every result up to the page asked for. Pages past
+// this are not served.
+const MAX_PAGE = 100;
+
+// Full-text search over products, accessories and setups with facet counts.
+// Each catalog is searched with its own text index and the results are
+// merged by the chosen sort order before paging.
+const searchCatalog = async (query = {}) => {
+  const q = (query.keyword || query.q || '').toString().trim();
+  const pageSize = Math.min(Math.max(Math.floor(numberOrUndefined(query.pageSize) || 10), 1), 50);
+  const page = Math.min(Math.max(Math.floor(numberOrUndefined(query.pageNumber) || 1), 1), MAX_PAGE);
+
+  const types = toList(query.types || query.type).filter((type) => ITEM_TYPES.includes(type));
+  const itemTypes = types.length > 0 ? types : ITEM_TYPES;
+
+  const sortBy = query.sortBy || (q ? 'relevance' : 'popularity');
+  const sort = SORT_OPTIONS[sortBy] && (q || sortBy !== 'relevance')
+    ? SORT_OPTIONS[sortBy]
+    : SORT_OPTIONS.popularity;
+
+  const filters = buildFilters({
+    categoryIds: await resolveCategoryIds(toList(query.category)),
+    minPrice: numberOrUndefined(query.minPrice),
+    maxPrice: numberOrUndefined(query.maxPrice),
+    inStock: query.inStock === true || query.inStock === 'true',
+    minRating: numberOrUndefined(query.minRating),
+  });
+
+  const perType = await Promise.all(itemTypes.map(async (itemType) => {
+    const [facets] = await CATALOG_MODELS[itemType].aggregate(buildPipeline({
+      itemType,
+      q,
+      filters,
+      sort: { ...sort, _id: 1 },
+      limit: page * pageSize,
+    }));
+    return { itemType, facets };
+  }));
+
+  const total = perType.reduce((sum, { facets }) => sum + (facets.total[0] ? facets.total[0].count : 0), 0);
+  const results = perType
+    .flatMap(({ facets }) => facets.results)
+    .sort(compareBySort(sort))
+    .slice(pageSize * (page - 1), pageSize * page);
+
+  return {
+    results,
+    page,
+    pages: Math.ceil(total / pageSize),
+    total,
+    facets: mergeFacets(perType),
+  };
+};
+
+module.exports = { SORT_OPTIONS, searchCatalog };
@@ -0,0 +1,98 @@
+const ShippingZone = require('../models/ShippingZone');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./money');
+const { normalize, includesName } = require('./text');
+
+// Zones seeded into a new shop by the first migration, matching the published
+// shipping policy: local Erode orders go without a thermocol box, everything
+// else pays ₹500 for one, and orders leaving Tamil Nadu must reach ₹3000.
+const DEFAULT_ZONES = [
+  {
+    name: 'Erode',
+    states: ['Tamil Nadu'],
+    districts: ['Erode'],
+    transportCharge: 0,
+    packagingCharge: 0,
+    minOrderValue: 0,
+  },
+  {
+    name: 'Tamil Nadu',
+    states: ['Tamil Nadu'],
+    transportCharge: 0,
+    packagingCharge: 500,
+    minOrderValue: 0,
+  },
+  {
+    name: 'Rest of India',
+    states: [],
+    transportCharge: 0,
+    packagingCharge: 500,
+    minOrderValue: 3000,
+  },
+];
+
+const getShippingZones = () => ShippingZone.find({ isActive: true });
+
+// How closely a zone matches a destination: 3 for a district match, 2 for a
+// whole-state match, 1 for the catch-all zone and 0 for no match
+const zoneSpecificity = (zone, destination) => {
+  if (zone.states.length === 0) {
+    return 1;
+  }
+  if (!includesName(zone.states, destination.state)) {
+    return 0;
+  }
+  if (zone.districts.length === 0) {
+    return 2;
+  }
+  return includesName(zone.districts, destination.district || destination.city) ? 3 : 0;
+};
+
+const matchShippingZone = (zones, destination) => {
+  let best = null;
+  let bestScore = 0;
+
+  for (const zone of zones) {
+    const score = zoneSpecificity(zone, destination);
+    if (score > bestScore || (score > 0 && score === bestScore && zone.priority > best.priority)) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+// Quote shipping for goods worth itemsPrice going to destination
+const quoteShipping = async ({ itemsPrice, destination }) => {
+  if (!destination || !normalize(destination.state)) {
+    throw httpError(400, 'Shipping state is required to calculate shipping');
+  }
+
+  const zones = await getShippingZones();
+  const zone = matchShippingZone(zones, destination);
+
+  if (!zone) {
+    throw httpError(400, `We do not ship to ${destination.state} yet`);
+  }
+
+  const shortfall = roundMoney(Math.max(zone.minOrderValue - itemsPrice, 0));
+
+  return {
+    zone: zone.name,
+    itemsPrice: roundMoney(itemsPrice),
+    transportCharge: roundMoney(zone.transportCharge),
+    packagingCharge: roundMoney(zone.packagingCharge),
+    shippingPrice: roundMoney(zone.transportCharge + zone.packagingCharge),
+    minOrderValue: zone.minOrderValue,
+    meetsMinimum: shortfall === 0,
+    shortfall,
+  };
+};
+
+module.exports = {
+  DEFAULT_ZONES,
+  getShippingZones,
+  matchShippingZone,
+  quoteShipping,
+};
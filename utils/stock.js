@@ -0,0 +1,95 @@
+const { CATALOG_MODELS } = require('./catalog');
+const { httpError } = require('./httpError');
+
+// Setups built from components hold no stock of their own; their lines
+// stand for the components inside, times the number of setups ordered
+const expandStockLines = (orderItems) => orderItems.flatMap((item) => {
+  if (!item.bundleComponents || item.bundleComponents.length === 0) {
+    return [item];
+  }
+  return item.bundleComponents.map((component) => ({
+    itemType: component.itemType,
+    product: component.product,
+    variant: component.variant,
+    name: `${component.name} (in ${item.name})`,
+    qty: component.quantity * item.qty,
+  }));
+});
+
+// Put stock back for lines that were reserved earlier. A variant's stock
+// moves together with its product's total.
+const releaseStock = async (orderItems) => {
+  for (const item of expandStockLines(orderItems)) {
+    const Model = CATALOG_MODELS[item.itemType];
+    if (item.variant) {
+      await Model.updateOne(
+        { _id: item.product, 'variants._id': item.variant },
+        { $inc: { 'variants.$.stock': item.qty, stock: item.qty } }
+      );
+    } else {
+      await Model.updateOne({ _id: item.product }, { $inc: { stock: item.qty } });
+    }
+  }
+};
+
+// Conditional update that takes qty from a line's item or variant, matching
+// nothing when too little is left
+const takeStock = (Model, item) => {
+  if (item.variant) {
+    return Model.findOneAndUpdate(
+      { _id: item.product, variants: { $elemMatch: { _id: item.variant, stock: { $gte: item.qty } } } },
+      { $inc: { 'variants.$.stock': -item.qty, stock: -item.qty } },
+      { new: true }
+    );
+  }
+  return Model.findOneAndUpdate(
+    { _id: item.product, stock: { $gte: item.qty } },
+    { $inc: { stock: -item.qty } },
+    { new: true }
+  );
+};
+
+// Stock currently left for a line's item or variant
+const availableStock = async (Model, item) => {
+  const current = await Model.findById(item.product).select('stock variants');
+  if (!current) {
+    return 0;
+  }
+  const source = item.variant ? current.variants.id(item.variant) : current;
+  return source ? Math.max(source.stock, 0) : 0;
+};
+
+// Decrement stock for every order line, or for none of them. Each line is a
+// conditional update that only matches while enough stock remains, so two
+// checkouts can never both take the last fish. If any line comes up short the
+// lines already taken are put back and a per-item report is thrown.
+const reserveStock = async (orderItems) => {
+  const reserved = [];
+  const shortages = [];
+
+  for (const item of expandStockLines(orderItems)) {
+    const Model = CATALOG_MODELS[item.itemType];
+    const updated = await takeStock(Model, item);
+
+    if (updated) {
+      reserved.push(item);
+    } else {
+      shortages.push({
+        product: item.product,
+        variant: item.variant,
+        name: item.name,
+        requested: item.qty,
+        available: await availableStock(Model, item),
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    await releaseStock(reserved);
+    throw httpError(409, 'Insufficient stock for some order items', { items: shortages });
+  }
+
+  return reserved;
+};
+
+module.exports = { reserveStock, releaseStock };
@@ -0,0 +1,102 @@
+const StockSubscription = require('../models/StockSubscription');
+const { resolveBundle } = require('./bundles');
+const { describeCatalogItem } = require('./catalog');
+const { sendMail, escapeHtml } = require('./mailer');
+
+// Stock a customer can actually buy. Setups built from components are
+// limited by their scarcest component.
+const currentStock = async (itemType, doc) => {
+  if (itemType !== 'FullMarineSetup') {
+    return doc.stock;
+  }
+  try {
+    return (await resolveBundle(doc)).availableStock;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// Stock of an item and each of its variants, taken before an update so it can
+// be compared with the stock afterwards
+const stockSnapshot = async (itemType, doc) => ({
+  stock: await currentStock(itemType, doc),
+  variants: new Map((doc.variants || []).map((variant) => [variant._id.toString(), variant.stock])),
+});
+
+const sendBackInStockEmail = (user, doc, variant) => {
+  const { name } = describeCatalogItem(doc, variant);
+  return sendMail({
+    to: user.email,
+    subject: `${name} is back in stock`,
+    text: `Hi ${user.name},\n\n${name} is back in stock. Stock moves quickly, so order soon if you still want it.\n\nBest regards,\nThe Aquarium Shop Team`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Back in stock</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p><strong>${escapeHtml(name)}</strong> is back in stock. Stock moves quickly, so order soon if you still want it.</p>
+        <p>Best regards,<br/>The Aquarium Shop Team</p>
+      </div>
+    `,
+  });
+};
+
+// Email everyone waiting for an item (or one of its variants). Each
+// subscription is claimed before sending so it is only ever emailed once; if
+// the email fails it is put back to wait for the next restock.
+const notifySubscribers = async (itemType, doc, variantId) => {
+  const subscriptions = await StockSubscription.find({
+    itemType,
+    item: doc._id,
+    variant: variantId || null,
+    status: 'active',
+  }).populate('user', 'name email');
+
+  const variant = variantId ? doc.variants.id(variantId) : null;
+  let sent = 0;
+
+  for (const subscription of subscriptions) {
+    const claimed = await StockSubscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active' },
+      { status: 'notified', notifiedAt: new Date() }
+    );
+    if (!claimed || !subscription.user) {
+      continue;
+    }
+
+    try {
+      await sendBackInStockEmail(subscription.user, doc, variant);
+      sent += 1;
+    } catch (error) {
+      console.error(`Back in stock email for subscription ${subscription._id} failed:`, error);
+      await StockSubscription.updateOne(
+        { _id: subscription._id },
+        { status: 'active', $unset: { notifiedAt: 1 } }
+      );
+    }
+  }
+
+  return sent;
+};
+
+// Compare an item's stock with a snapshot taken before an admin update and
+// alert subscribers of anything that went from sold out to available. Never
+// rejects, so routes can start it without waiting for the emails to go out.
+const notifyRestocked = async (itemType, doc, before) => {
+  try {
+    const after = await stockSnapshot(itemType, doc);
+
+    if (before.stock <= 0 && after.stock > 0) {
+      await notifySubscribers(itemType, doc, null);
+    }
+
+    for (const [variantId, stock] of after.variants) {
+      if (stock > 0 && (before.variants.get(variantId) || 0) <= 0) {
+        await notifySubscribers(itemType, doc, variantId);
+      }
+    }
+  } catch (error) {
+    console.error(`Back in stock alerts for ${itemType} ${doc._id} failed:`, error);
+  }
+};
+
+module.exports = { currentStock, stockSnapshot, notifyRestocked };
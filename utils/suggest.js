@@ -0,0 +1,226 @@
+const Product = require('../models/Product');
+const Accessory = require('../models/Accessory');
+const Category = require('../models/Category');
+const Synonym = require('../models/Synonym');
+const text = require('./text');
+
+// How long the suggestion vocabulary is kept before it is rebuilt
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+// Scoring costs grow with the length of every term searched for, so the
+// query is capped and synonyms may only add terms until the letters of all
+// terms together reach MAX_TERM_LETTERS
+const MAX_QUERY_LENGTH = 50;
+const MAX_TERM_LETTERS = 80;
+
+let vocabularyCache = null;
+
+// Lowercase words and digits only, single spaced
+const normalize = (value) => text.normalize(value)
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Typos tolerated for a term of this length
+const allowedEdits = (length) => {
+  if (length <= 3) {
+    return 0;
+  }
+  return length <= 6 ? 1 : 2;
+};
+
+// Smallest edit distance (with adjacent transpositions) between `term` and
+// any prefix of `key`, so a half-typed word still matches. Prefixes more
+// than maxEdits longer than the term can never be close enough, so only
+// that much of the key is compared, and a key too short to ever get
+// within maxEdits is skipped outright. Only three rows are kept.
+const prefixDistance = (term, key, maxEdits) => {
+  if (term.length > key.length + maxEdits) {
+    return maxEdits + 1;
+  }
+  key = key.slice(0, term.length + maxEdits);
+  const cols = key.length + 1;
+  let before = null;
+  let previous = Array.from({ length: cols }, (_, j) => j);
+
+  for (let i = 1; i <= term.length; i += 1) {
+    const current = new Array(cols);
+    current[0] = i;
+    for (let j = 1; j < cols; j += 1) {
+      const cost = term[i - 1] === key[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && term[i - 1] === key[j - 2] && term[i - 2] === key[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+    }
+    before = previous;
+    previous = current;
+  }
+
+  return Math.min(...previous);
+};
+
+// Each word of a name, plus the whole name run together so "clown fsh" can
+// match "clownfish" and "ocellaris" can match "amphiprion ocellaris". Runs
+// of some but not all words are left out: their number grows with the
+// square of the name's length.
+const matchKeys = (text) => {
+  const words = normalize(text).split(' ').filter(Boolean);
+  const keys = words.map((word, i) => ({ key: word, fromStart: i === 0 }));
+  if (words.length > 1) {
+    keys.push({ key: words.join(''), fromStart: true });
+  }
+  return keys;
+};
+
+// Group items by the first letter of their key. Only keys starting with the
+// same letter as a term are scored against it, so a typo in the very first
+// letter is not forgiven.
+const byFirstLetter = (items) => {
+  const index = new Map();
+  items.forEach((item) => {
+    const bucket = index.get(item.key[0]);
+    if (bucket) {
+      bucket.push(item);
+    } else {
+      index.set(item.key[0], [item]);
+    }
+  });
+  return index;
+};
+
+const buildVocabulary = async () => {
+  const [products, accessories, categories, synonyms] = await Promise.all([
+    Product.find({}).select('name scientificName'),
+    Accessory.find({}).select('name'),
+    Category.find({}).select('name'),
+    Synonym.find({}),
+  ]);
+
+  const entries = [
+    ...products.map((doc) => ({
+      type: 'product',
+      id: doc._id,
+      text: doc.name,
+      keys: matchKeys(doc.name).concat(matchKeys(doc.scientificName)),
+    })),
+    ...accessories.map((doc) => ({
+      type: 'accessory',
+      id: doc._id,
+      text: doc.name,
+      keys: matchKeys(doc.name),
+    })),
+    ...categories.map((doc) => ({
+      type: 'category',
+      id: doc._id,
+      text: doc.name,
+      keys: matchKeys(doc.name),
+    })),
+  ];
+
+  const keys = byFirstLetter(entries.flatMap((entry) => entry.keys.map(({ key, fromStart }) => ({
+    entry,
+    key,
+    fromStart,
+  }))));
+
+  const synonymGroups = synonyms.map((doc) => [doc.term, ...doc.synonyms].map(normalize).filter(Boolean));
+  const synonymNames = byFirstLetter(synonymGroups.flatMap((group) => group.map((name) => ({
+    group,
+    name,
+    key: name.replace(/ /g, ''),
+  }))));
+
+  return { keys, synonymNames, builtAt: Date.now() };
+};
+
+const getVocabulary = async () => {
+  if (!vocabularyCache || Date.now() - vocabularyCache.builtAt > VOCABULARY_TTL_MS) {
+    vocabularyCache = await buildVocabulary();
+  }
+  return vocabularyCache;
+};
+
+// Forget the cached vocabulary, e.g. after synonyms change
+const invalidateSuggestions = () => {
+  vocabularyCache = null;
+};
+
+// Score for how well a key matches a search term; 0 means no match
+const scoreKey = ({ key, fromStart }, compact, maxEdits) => {
+  const distance = prefixDistance(compact, key, maxEdits);
+  if (distance > maxEdits) {
+    return 0;
+  }
+  if (distance === 0) {
+    return fromStart ? 100 : 80;
+  }
+  return 60 - 15 * distance;
+};
+
+// Synonym groups the query belongs to. Each other name in a matching group
+// becomes an extra search term, scored a little lower than the query itself,
+// for as long as the letters of all terms fit in MAX_TERM_LETTERS.
+const expandWithSynonyms = (query, synonymNames) => {
+  const compact = query.replace(/ /g, '');
+  const maxEdits = allowedEdits(compact.length);
+  const terms = [{ term: query, weight: 1 }];
+  const expanded = new Set();
+  let letters = compact.length;
+
+  for (const { group, name, key } of synonymNames.get(compact[0]) || []) {
+    if (expanded.has(group) || prefixDistance(compact, key, maxEdits) > maxEdits) {
+      continue;
+    }
+    expanded.add(group);
+    for (const other of group.filter((entry) => entry !== name)) {
+      letters += other.replace(/ /g, '').length;
+      if (letters > MAX_TERM_LETTERS) {
+        return terms;
+      }
+      terms.push({ term: other, weight: 0.9, synonymOf: name });
+    }
+  }
+
+  return terms;
+};
+
+// Ranked completions for a partly typed, possibly misspelt query
+const suggest = async (rawQuery, { limit = 8 } = {}) => {
+  const query = normalize((rawQuery || '').toString().slice(0, MAX_QUERY_LENGTH * 2))
+    .slice(0, MAX_QUERY_LENGTH)
+    .trim();
+  if (query.length < 2) {
+    return [];
+  }
+
+  const { keys, synonymNames } = await getVocabulary();
+  const terms = expandWithSynonyms(query, synonymNames);
+
+  // Best score each entry gets from any of its keys and any term
+  const matches = new Map();
+  terms.forEach(({ term, weight, synonymOf }) => {
+    const compact = term.replace(/ /g, '');
+    const maxEdits = allowedEdits(compact.length);
+    (keys.get(compact[0]) || []).forEach((candidate) => {
+      const score = scoreKey(candidate, compact, maxEdits) * weight;
+      const match = matches.get(candidate.entry);
+      if (score > 0 && (!match || score > match.score)) {
+        matches.set(candidate.entry, { entry: candidate.entry, score, via: synonymOf ? term : undefined });
+      }
+    });
+  });
+
+  return [...matches.values()]
+    .sort((a, b) => b.score - a.score || a.entry.text.length - b.entry.text.length)
+    .slice(0, limit)
+    .map(({ entry, score, via }) => ({
+      type: entry.type,
+      id: entry.id,
+      text: entry.text,
+      score: Math.round(score),
+      ...(via ? { synonym: via } : {}),
+    }));
+};
+
+module.exports = { suggest, invalidateSuggestions };
@@ -0,0 +1,91 @@
+const { roundMoney } = require('./money');
+const { sameName } = require('./text');
+const { httpError } = require('./httpError');
+
+// State the business is registered in for GST
+const HOME_STATE = process.env.GST_HOME_STATE || 'Tamil Nadu';
+
+// Supplies within the home state pay CGST + SGST, all others IGST
+const isInterStateSupply = (state) => !sameName(state, HOME_STATE);
+
+// Highest GST rate the catalog models accept, in percent
+const MAX_GST_RATE = 40;
+
+// A GST rate sent for an accessory or setup, which have no default rate.
+// Anything but a number from 0 to MAX_GST_RATE is the client's mistake.
+const parseGstRate = (value) => {
+  const rate = value === undefined || value === null || value === '' ? NaN : Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > MAX_GST_RATE) {
+    throw httpError(400, `gstRate is required: the GST rate in percent, from 0 to ${MAX_GST_RATE}`, {
+      field: 'gstRate',
+    });
+  }
+  return rate;
+};
+
+// GST rate for a line. A setup built from components is taxed at each
+// component's own rate, weighted by its share of the setup's price, so exempt
+// livestock inside a setup stays exempt.
+const lineGstRate = (item) => {
+  const components = item.bundleComponents || [];
+  const weights = components.map((component) => (Number(component.unitPrice) || 0) * component.quantity);
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+  if (totalWeight <= 0) {
+    return Number(item.gstRate) || 0;
+  }
+
+  return components.reduce(
+    (rate, component, index) => rate + (Number(component.gstRate) || 0) * weights[index] / totalWeight,
+    0
+  );
+};
+
+// Work out GST for each priced line and for the whole order. The rate is
+// taken from the line (copied from the catalog) and applied to price x qty
+// less any coupon discount on that line.
+const calculateGst = (pricedItems, destinationState) => {
+  const interState = isInterStateSupply(destinationState);
+  const taxBreakdown = {
+    supplyType: interState ? 'inter-state' : 'intra-state',
+    placeOfSupply: destinationState,
+    taxableValue: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+  };
+
+  const orderItems = pricedItems.map((item) => {
+    const gstRate = lineGstRate(item);
+    const taxableValue = roundMoney(item.price * item.qty - (item.discount || 0));
+    const igst = interState ? roundMoney(taxableValue * gstRate / 100) : 0;
+    const cgst = interState ? 0 : roundMoney(taxableValue * gstRate / 200);
+    const sgst = cgst;
+
+    taxBreakdown.taxableValue += taxableValue;
+    taxBreakdown.cgst += cgst;
+    taxBreakdown.sgst += sgst;
+    taxBreakdown.igst += igst;
+
+    return {
+      ...item,
+      gstRate: Math.round(gstRate * 100) / 100,
+      taxableValue,
+      cgst,
+      sgst,
+      igst,
+    };
+  });
+
+  ['taxableValue', 'cgst', 'sgst', 'igst'].forEach((field) => {
+    taxBreakdown[field] = roundMoney(taxBreakdown[field]);
+  });
+
+  return {
+    orderItems,
+    taxBreakdown,
+    taxPrice: roundMoney(taxBreakdown.cgst + taxBreakdown.sgst + taxBreakdown.igst),
+  };
+};
+
+module.exports = { HOME_STATE, isInterStateSupply, parseGstRate, calculateGst };
@@ -0,0 +1,17 @@
+// Names (states, districts, countries) compare without regard to case or
+// surrounding spaces
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const sameName = (a, b) => normalize(a) === normalize(b);
+
+// The entry of list matching value regardless of case, in the list's spelling
+const findName = (list, value) => list.find((entry) => sameName(entry, value));
+
+const includesName = (list, value) => findName(list, value) !== undefined;
+
+module.exports = {
+  normalize,
+  sameName,
+  findName,
+  includesName,
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { httpError } = require('./httpError');
+
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a short-lived access JWT. iatMs records the issue time to the
+// millisecond so revocation can be checked precisely.
+const generateToken = (id) => {
+  return jwt.sign({ id, iatMs: Date.now() }, process.env.JWT_SECRET || 'secret', {
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+  });
+};
+
+// True when an access token was issued before the user's tokens were revoked
+const isTokenRevoked = (decoded, user) => {
+  if (!user.tokensRevokedAt) {
+    return false;
+  }
+  const issuedAt = decoded.iatMs || decoded.iat * 1000;
+  return issuedAt < user.tokensRevokedAt.getTime();
+};
+
+// Short-lived proof that a user got their password right and still owes a
+// second factor
+const signTwoFactorToken = (userId) => jwt.sign(
+  { id: userId, type: '2fa' },
+  process.env.JWT_SECRET || 'secret',
+  { expiresIn: '5m' }
+);
+
+// User id from a two-factor token, or null if it is not valid
+const verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
+    return decoded.type === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store a new refresh token and return it. Only its hash is saved.
+const createRefreshToken = async (userId, { family, req } = {}) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined,
+  });
+
+  return { token, record };
+};
+
+// Access and refresh token for a fresh sign-in
+const issueTokens = async (userId, req) => {
+  const { token: refreshToken } = await createRefreshToken(userId, { req });
+  return { token: generateToken(userId), refreshToken };
+};
+
+const revokeFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Swap a refresh token for a new pair. The old token is revoked with a
+// conditional update, so if the same token is presented twice only the first
+// use succeeds and the second revokes its whole family.
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw httpError(401, 'Refresh token is required');
+  }
+
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!current) {
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  const now = new Date();
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: now },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await revokeFamily(current.family);
+    throw httpError(401, 'Refresh token has already been used, please log in again');
+  }
+
+  if (claimed.expiresAt <= now) {
+    throw httpError(401, 'Refresh token expired, please log in again');
+  }
+
+  const user = await User.findById(claimed.user).select('-password');
+  if (!user) {
+    throw httpError(401, 'Not authorized, user not found');
+  }
+
+  const { token: nextToken, record } = await createRefreshToken(user._id, { family: claimed.family, req });
+  await RefreshToken.updateOne({ _id: claimed._id }, { replacedBy: record._id });
+
+  return { user, token: generateToken(user._id), refreshToken: nextToken };
+};
+
+// Log out one session: revoke the refresh token and everything in its family
+const revokeRefreshToken = async (refreshToken) => {
+  if (!refreshToken) {
+    return;
+  }
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (current) {
+    await revokeFamily(current.family);
+  }
+};
+
+// Log a user out everywhere: every refresh token is revoked and access tokens
+// issued until now stop working in protect
+const revokeAllTokens = async (userId) => {
+  const now = new Date();
+  await User.updateOne({ _id: userId }, { tokensRevokedAt: now });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: now });
+};
+
+module.exports = {
+  generateToken,
+  isTokenRevoked,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+};
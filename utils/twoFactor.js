@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { verifyTotp } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toString().trim().toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+// Fresh one-time recovery codes. The plain codes are shown to the user once;
+// only their hashes are kept.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Staff must enrol in 2FA when REQUIRE_ADMIN_2FA=true
+const isTwoFactorRequired = (user) => process.env.REQUIRE_ADMIN_2FA === 'true' && Boolean(user && user.isAdmin);
+
+const isTwoFactorEnabled = (user) => Boolean(user && user.twoFactor && user.twoFactor.enabled);
+
+// Check an authenticator code, refusing any code from a time step that was
+// already used so an observed code cannot be replayed
+const useTotpCode = async (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const claimed = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return claimed.modifiedCount === 1;
+};
+
+// Spend a recovery code; each works once
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+  const claimed = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return claimed.modifiedCount === 1;
+};
+
+// Second factor for a user with 2FA on: an authenticator code or, failing
+// that, a recovery code. `user` must be loaded with TWO_FACTOR_FIELDS.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return useTotpCode(user, code);
+  }
+  if (recoveryCode) {
+    return useRecoveryCode(user, recoveryCode);
+  }
+  return false;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  verifySecondFactor,
+};
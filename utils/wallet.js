@@ -0,0 +1,124 @@
+const CreditTransaction = require('../models/CreditTransaction');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./money');
+
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Work out what is left of each credit. Debits spend the credits that expire
+// soonest first, and only credits that were still valid when spent.
+const summarizeLedger = (entries, now = new Date()) => {
+  const lots = [];
+
+  for (const entry of entries) {
+    if (entry.type === 'credit') {
+      lots.push({ entry, remaining: entry.amount });
+      continue;
+    }
+
+    let toSpend = entry.amount;
+    const spendable = lots
+      .filter((lot) => lot.remaining > 0 && (!lot.entry.expiresAt || lot.entry.expiresAt > entry.createdAt))
+      .sort((a, b) => (a.entry.expiresAt || Infinity) - (b.entry.expiresAt || Infinity));
+
+    for (const lot of spendable) {
+      if (toSpend <= 0) {
+        break;
+      }
+      const spent = Math.min(lot.remaining, toSpend);
+      lot.remaining = roundMoney(lot.remaining - spent);
+      toSpend = roundMoney(toSpend - spent);
+    }
+  }
+
+  const active = lots.filter((lot) => lot.remaining > 0 && (!lot.entry.expiresAt || lot.entry.expiresAt > now));
+
+  return {
+    balance: roundMoney(active.reduce((total, lot) => total + lot.remaining, 0)),
+    expiring: active
+      .filter((lot) => lot.entry.expiresAt)
+      .map((lot) => ({ amount: lot.remaining, expiresAt: lot.entry.expiresAt })),
+  };
+};
+
+const getLedger = (userId) => CreditTransaction.find({ user: userId }).sort({ sequence: 1 });
+
+// Balance plus full history for a user
+const getWallet = async (userId) => {
+  const entries = await getLedger(userId);
+  return { ...summarizeLedger(entries), transactions: entries.slice().reverse() };
+};
+
+const getBalance = async (userId) => summarizeLedger(await getLedger(userId)).balance;
+
+// Append an entry at the end of the user's ledger. `check` sees the current
+// balance and may throw to refuse the write. A concurrent append takes the
+// same sequence number, so the loser re-reads the ledger and tries again.
+const appendEntry = async (entry, check) => {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt += 1) {
+    const entries = await getLedger(entry.user);
+    const { balance } = summarizeLedger(entries);
+    if (check) {
+      check(balance);
+    }
+
+    const last = entries[entries.length - 1];
+    try {
+      return await CreditTransaction.create({
+        ...entry,
+        sequence: last ? last.sequence + 1 : 1,
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw httpError(409, 'Store credit is being updated elsewhere, please try again');
+};
+
+const grantCredit = ({ user, amount, reason, order, claim, expiresAt, createdBy }) => {
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw httpError(400, 'Credit amount must be greater than zero');
+  }
+
+  return appendEntry({
+    user,
+    type: 'credit',
+    amount: value,
+    reason,
+    order,
+    claim,
+    expiresAt,
+    createdBy,
+  });
+};
+
+const debitCredit = ({ user, amount, reason, order, createdBy }) => {
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw httpError(400, 'Debit amount must be greater than zero');
+  }
+
+  return appendEntry({
+    user,
+    type: 'debit',
+    amount: value,
+    reason,
+    order,
+    createdBy,
+  }, (balance) => {
+    if (balance < value) {
+      throw httpError(400, `Insufficient store credit, available balance is ₹${balance}`, { balance });
+    }
+  });
+};
+
+module.exports = {
+  summarizeLedger,
+  getWallet,
+  getBalance,
+  grantCredit,
+  debitCredit,
+};